@@ -12,6 +12,17 @@ dotenv.config();
 
 const app = express();
 
+// req.ip (rate limits, report de-duplication, click analytics) only reads
+// X-Forwarded-For when a trusted proxy set it. TRUST_PROXY takes anything
+// Express accepts: a hop count, "true", or addresses/subnets. By default only
+// proxies on private networks are trusted.
+const parseTrustProxy = (value) => {
+  if (!value) return "loopback, linklocal, uniquelocal";
+  if (value === "true" || value === "false") return value === "true";
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 const redisStore = new RedisStore({
   client: redisClient,
   prefix: "linkly-session:", // Optional prefix for session keys in Redis
@@ -24,6 +35,8 @@ const createLinkLimiter = rateLimit({
     "Too many links created from this IP, please try again after 15 minutes",
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+  // API key requests are limited per key by apiKeyLimiter instead
+  skip: (req) => Boolean(req.apiKey),
 });
 
 app.use(bodyParser.json({ limit: "5mb" }));
@@ -69,15 +82,45 @@ app.use(
   })
 );
 
+import { checkForUserAuthentication } from "./middleware/auth.middleware.js";
+import { authorizeRouteUser } from "./middleware/authorization.middleware.js";
+import { apiKeyLimiter } from "./middleware/rateLimit.middleware.js";
 import authenticationRouter from "./routers/authentication.router.js";
+import twoFactorRouter from "./routers/twoFactor.router.js";
+import apiKeyRouter from "./routers/apiKey.router.js";
 import SubscriptionRouter from "./routers/subscription.router.js";
 import paymentRouter from "./routers/payment.router.js";
 import redirectRouter from "./routers/redirect.router.js";
 import collectionRouter from "./routers/collection.router.js";
+import analyticsRouter from "./routers/analytics.router.js";
+import importRouter from "./routers/import.router.js";
+import exportRouter from "./routers/export.router.js";
+import publicRouter from "./routers/public.router.js";
+import webhookRouter from "./routers/webhook.router.js";
+import moderationRouter from "./routers/moderation.router.js";
+import reportRouter from "./routers/report.router.js";
+
+// Every per-user route is bound to the token subject (admins excepted)
+app.use(
+  "/loggedin/:user_id",
+  checkForUserAuthentication,
+  apiKeyLimiter,
+  authorizeRouteUser
+);
 
 app.use("/", SubscriptionRouter);
 app.use("/", authenticationRouter);
+app.use("/", twoFactorRouter);
+app.use("/", apiKeyRouter);
 app.use("/", paymentRouter);
+// Mounted ahead of the link-creation limiter so dashboard reads aren't throttled
+app.use("/", analyticsRouter);
+app.use("/", importRouter);
+app.use("/", exportRouter);
+app.use("/", publicRouter);
+app.use("/", webhookRouter);
+app.use("/", moderationRouter);
+app.use("/", reportRouter);
 // app.use('/',redirectRouter);
 app.use("/", createLinkLimiter, redirectRouter);
 app.use("/", collectionRouter);
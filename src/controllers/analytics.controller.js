@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+import { Link } from "../models/Link.js";
+import { ClickEvent } from "../models/ClickEvent.js";
+import { ApiError } from "../utilities/ApiError.js";
+import { asyncHandler } from "../utilities/asyncHandler.js";
+
+const ALLOWED_INTERVALS = ["hour", "day", "week"];
+
+// Default look-back window for each bucket size
+const DEFAULT_RANGE_MS = {
+  hour: 48 * 60 * 60 * 1000, // 2 days
+  day: 30 * 24 * 60 * 60 * 1000, // 30 days
+  week: 26 * 7 * 24 * 60 * 60 * 1000, // ~6 months
+};
+
+// --- GET click analytics for a single link ---
+export const getLinkAnalytics = asyncHandler(async (req, res) => {
+  const { user_id, linkId } = req.params;
+  const { interval = "day", from, to, top = 10 } = req.query;
+
+  // Validate IDs format
+  if (
+    !mongoose.Types.ObjectId.isValid(linkId) ||
+    !mongoose.Types.ObjectId.isValid(user_id)
+  ) {
+    throw new ApiError(400, "Invalid ID format.");
+  }
+
+  if (!ALLOWED_INTERVALS.includes(interval)) {
+    throw new ApiError(
+      400,
+      `Invalid interval. Must be one of: ${ALLOWED_INTERVALS.join(", ")}.`
+    );
+  }
+
+  const endDate = to ? new Date(to) : new Date();
+  const startDate = from
+    ? new Date(from)
+    : new Date(endDate.getTime() - DEFAULT_RANGE_MS[interval]);
+
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    throw new ApiError(400, "Invalid date range.");
+  }
+  if (startDate > endDate) {
+    throw new ApiError(400, "'from' must be before 'to'.");
+  }
+
+  const topLimit = parseInt(top);
+  if (isNaN(topLimit) || topLimit < 1 || topLimit > 50) {
+    throw new ApiError(400, "top must be between 1 and 50.");
+  }
+
+  const link = await Link.findOne({ _id: linkId, owner: user_id })
+    .select("shortId longUrl viewerCount")
+    .lean();
+
+  if (!link) {
+    throw new ApiError(404, "Link not found or permission denied.");
+  }
+
+  try {
+    const [result] = await ClickEvent.aggregate([
+      {
+        $match: {
+          link: new mongoose.Types.ObjectId(linkId),
+          timestamp: { $gte: startDate, $lte: endDate },
+        },
+      },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          timeline: [
+            {
+              $group: {
+                _id: { $dateTrunc: { date: "$timestamp", unit: interval } },
+                clicks: { $sum: 1 },
+                uniqueVisitors: { $addToSet: "$ipHash" },
+              },
+            },
+            {
+              $project: {
+                _id: 0,
+                bucket: "$_id",
+                clicks: 1,
+                uniqueVisitors: { $size: "$uniqueVisitors" },
+              },
+            },
+            { $sort: { bucket: 1 } },
+          ],
+          referrers: [
+            {
+              $group: {
+                _id: { $ifNull: ["$referrerHost", "direct"] },
+                clicks: { $sum: 1 },
+              },
+            },
+            { $sort: { clicks: -1 } },
+            { $limit: topLimit },
+            { $project: { _id: 0, referrer: "$_id", clicks: 1 } },
+          ],
+          devices: [
+            { $group: { _id: "$device", clicks: { $sum: 1 } } },
+            { $sort: { clicks: -1 } },
+            { $project: { _id: 0, device: "$_id", clicks: 1 } },
+          ],
+          browsers: [
+            { $group: { _id: "$browser", clicks: { $sum: 1 } } },
+            { $sort: { clicks: -1 } },
+            { $limit: topLimit },
+            { $project: { _id: 0, browser: "$_id", clicks: 1 } },
+          ],
+          operatingSystems: [
+            { $group: { _id: "$os", clicks: { $sum: 1 } } },
+            { $sort: { clicks: -1 } },
+            { $limit: topLimit },
+            { $project: { _id: 0, os: "$_id", clicks: 1 } },
+          ],
+        },
+      },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      analytics: {
+        link: {
+          id: link._id,
+          shortId: link.shortId,
+          longUrl: link.longUrl,
+          totalClicks: link.viewerCount,
+        },
+        range: { from: startDate, to: endDate, interval },
+        clicksInRange: result.total[0]?.count || 0,
+        timeline: result.timeline,
+        topReferrers: result.referrers,
+        devices: result.devices,
+        browsers: result.browsers,
+        operatingSystems: result.operatingSystems,
+      },
+    });
+  } catch (error) {
+    console.error(`Error fetching analytics for link ${linkId}:`, error);
+    throw new ApiError(
+      500,
+      "An error occurred while fetching link analytics. Please try again."
+    );
+  }
+});
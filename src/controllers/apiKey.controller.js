@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+import { ApiKey, API_KEY_SCOPES } from "../models/ApiKey.js";
+import { ApiError } from "../utilities/ApiError.js";
+import { asyncHandler } from "../utilities/asyncHandler.js";
+import { generateApiKey } from "../services/apiKeyService.js";
+
+const MAX_ACTIVE_KEYS = 20;
+
+// --- CREATE an API key; the raw key is only returned here ---
+export const createApiKey = asyncHandler(async (req, res) => {
+  const { userId } = req.userData;
+  const { name, scopes, rateLimit } = req.body;
+
+  if (!name || typeof name !== "string" || name.trim() === "") {
+    throw new ApiError(400, "API key name is required.");
+  }
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    !scopes.every((scope) => API_KEY_SCOPES.includes(scope))
+  ) {
+    throw new ApiError(
+      400,
+      `Scopes must be a non-empty array of: ${API_KEY_SCOPES.join(", ")}.`
+    );
+  }
+  if (
+    rateLimit !== undefined &&
+    (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > 600)
+  ) {
+    throw new ApiError(
+      400,
+      "Rate limit must be a whole number between 1 and 600."
+    );
+  }
+
+  const activeKeys = await ApiKey.countDocuments({
+    owner: userId,
+    revokedAt: null,
+  });
+  if (activeKeys >= MAX_ACTIVE_KEYS) {
+    throw new ApiError(
+      400,
+      `You can have at most ${MAX_ACTIVE_KEYS} active API keys.`
+    );
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+  const apiKey = await ApiKey.create({
+    owner: userId,
+    name: name.trim(),
+    prefix,
+    keyHash,
+    scopes: [...new Set(scopes)],
+    rateLimit,
+  });
+
+  const { keyHash: _keyHash, ...apiKeyData } = apiKey.toObject();
+  res.status(201).json({
+    success: true,
+    message: "API key created. Store it now, it won't be shown again.",
+    key,
+    apiKey: apiKeyData,
+  });
+});
+
+// --- GET the user's API keys (without secrets) ---
+export const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find({ owner: req.userData.userId })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    apiKeys,
+  });
+});
+
+// --- REVOKE an API key ---
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const { keyId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(keyId)) {
+    throw new ApiError(400, "Invalid API key ID format.");
+  }
+
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: keyId, owner: req.userData.userId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+  if (!apiKey) {
+    throw new ApiError(404, "API key not found or already revoked.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "API key revoked",
+    apiKey,
+  });
+});
@@ -2,8 +2,35 @@ import { User } from "../models/User.js";
 import { ApiError } from "../utilities/ApiError.js";
 import { asyncHandler } from "../utilities/asyncHandler.js";
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
+import {
+  issueSession,
+  revokeSession,
+  revokeAllSessions,
+  rotateRefreshToken,
+  verifyAccessToken,
+  setAuthCookies,
+  clearAuthCookies,
+} from "../services/tokenService.js";
 import { createSystemCollections } from "../services/systemCollectionService.js";
+import {
+  verifyGoogleIdToken,
+  isLegacyGoogleAccount,
+  createUnusablePasswordHash,
+} from "../services/googleAuthService.js";
+import {
+  isEmailVerificationRequired,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  consumeEmailVerificationToken,
+  consumePasswordResetToken,
+} from "../services/accountEmailService.js";
+import {
+  LOGIN_CHALLENGE_TTL,
+  checkSecondFactor,
+  createLoginChallenge,
+  getLoginChallengeUser,
+  clearLoginChallenge,
+} from "../services/twoFactorService.js";
 
 export const registerUser = asyncHandler(async (req, res) => {
   const { username, email, password } = req.body;
@@ -42,6 +69,13 @@ export const registerUser = asyncHandler(async (req, res) => {
             console.error("Error creating system collections:", error);
             // Don't fail the registration if system collections fail
           }
+
+          try {
+            await sendVerificationEmail(result);
+          } catch (error) {
+            console.error("Error sending verification email:", error);
+            // The user can ask for a new one from /verify-email/resend
+          }
           
           res.status(201).json({
             message: "user created"
@@ -60,6 +94,44 @@ export const registerUser = asyncHandler(async (req, res) => {
   }
 });
 
+// Start a session and send the tokens back
+const assertAccountEnabled = (user) => {
+  if (user.disabledAt) {
+    throw new ApiError(403, "This account has been disabled");
+  }
+};
+
+const sendSession = async (res, user) => {
+  assertAccountEnabled(user);
+  const session = await issueSession(user);
+  setAuthCookies(res, session);
+
+  return res.status(200).send({
+    message: 'Auth successful',
+    token: session.accessToken,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+    user,
+  });
+};
+
+// Called once the first factor has been checked. Accounts with 2FA get a
+// short-lived challenge instead of tokens; see verifyTwoFactorLogin.
+const completeLogin = async (res, user) => {
+  assertAccountEnabled(user);
+  if (user.twoFactor?.enabled) {
+    const challengeToken = await createLoginChallenge(user._id);
+    return res.status(200).send({
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken,
+      expiresIn: LOGIN_CHALLENGE_TTL,
+    });
+  }
+
+  return sendSession(res, user);
+};
+
 export const loginUser = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
@@ -77,114 +149,159 @@ export const loginUser = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Invalid credentials");
   }
 
-  bcrypt.compare(password, user.password, (err, result) => {
-    if (err) {
-      throw new ApiError(401, "Invalid credentials");
-    }
-    if (result) {
-      const token = jwt.sign(
-        {
-          email: user.email,
-          userId: user._id
-        },
-        process.env.JWT_KEY,
-      );
-      res.cookie('jwtToken', token, {
-        sameSite: 'None', httpOnly: true, secure: process.env.NODE_ENV === 'production', maxAge: 3600*1000*2
-      });
-      return res.status(200).send({
-        message: 'Auth successful',
-        token: token,
-        user,
-      });
-    }
+  const result = await bcrypt.compare(password, user.password);
+  if (!result) {
     return res.status(401).json({
       message: 'Auth failed'
     });
-  });
+  }
+
+  if (isEmailVerificationRequired() && !user.emailVerified) {
+    throw new ApiError(403, "Please verify your email address before logging in");
+  }
+
+  return completeLogin(res, user);
 });
 
-export const googleAuthHandler = asyncHandler(async (req, res) => {
-  const { email, username } = req.body;
-  
-  if (!email || email.trim() === "") {
-    throw new ApiError(400, "Email is required");
+// Second login step for accounts with 2FA: trade the challenge token and a
+// TOTP or backup code for real tokens
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, backupCode } = req.body;
+
+  if (!code && !backupCode) {
+    throw new ApiError(400, "Verification code is required");
+  }
+
+  const userId = await getLoginChallengeUser(challengeToken);
+  const user = userId
+    ? await User.findById(userId).select(
+        "+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep"
+      )
+    : null;
+  if (!user || !user.twoFactor.enabled) {
+    throw new ApiError(401, "Login challenge expired, please log in again");
+  }
+
+  if (!checkSecondFactor(user, { code, backupCode })) {
+    throw new ApiError(401, "Invalid verification code");
   }
+  await user.save();
+  await clearLoginChallenge(challengeToken);
+
+  return sendSession(res, user);
+});
+
+export const googleAuthHandler = asyncHandler(async (req, res) => {
+  const { idToken } = req.body;
+  // Throws 400/401 for a missing or invalid token
+  const profile = await verifyGoogleIdToken(idToken);
 
   try {
-    // Check if user exists with this email
-    let user = await User.findOne({ email });
-    
+    // Returning Google user
+    let user = await User.findOne({ googleId: profile.googleId });
+
     if (!user) {
-      // Create new user if it doesn't exist
-      const hash = await bcrypt.hash(process.env.GOOGLE_AUTH_PASSWORD, 10);
-      
-      user = new User({
-        username: username || email.split('@')[0],
-        email,
-        password: hash,
-        subscription: "Free",
-        Links: {
-          oldLink: [],
-          newLink: []
-        },
-        Viewer: []
-      });
-      
-      await user.save();
-      
-      // Create system collections for the new user
-      try {
-        await createSystemCollections(user._id);
-        console.log(`System collections created for user ${user._id}`);
-      } catch (error) {
-        console.error("Error creating system collections:", error);
-        // Don't fail the registration if system collections fail
+      user = await User.findOne({ email: profile.email });
+
+      if (user && !(await isLegacyGoogleAccount(user))) {
+        // A password account with this email exists; the owner has to prove
+        // it is theirs through POST /google-auth/link before Google can sign in
+        return res.status(409).json({
+          success: false,
+          message: 'An account with this email already exists. Link your Google account by confirming your password.',
+          linkRequired: true,
+          email: profile.email,
+        });
       }
-    } else {
-      // Make sure existing user has Links properly initialized
-      if (!user.Links) {
-        user.Links = { oldLink: [], newLink: [] };
+
+      if (user) {
+        // Account from the old shared-password flow: claim it and retire
+        // the shared password
+        user.googleId = profile.googleId;
+        user.password = await createUnusablePasswordHash();
+        user.emailVerified = true;
         await user.save();
-      } else if (!user.Links.oldLink || !user.Links.newLink) {
-        if (!user.Links.oldLink) user.Links.oldLink = [];
-        if (!user.Links.newLink) user.Links.newLink = [];
+      } else {
+        // Create new user if it doesn't exist
+        user = new User({
+          username: profile.name || profile.email.split('@')[0],
+          email: profile.email,
+          googleId: profile.googleId,
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+          password: await createUnusablePasswordHash(),
+          subscription: "Free",
+          Links: {
+            oldLink: [],
+            newLink: []
+          },
+          Viewer: []
+        });
+
         await user.save();
+
+        // Create system collections for the new user
+        try {
+          await createSystemCollections(user._id);
+          console.log(`System collections created for user ${user._id}`);
+        } catch (error) {
+          console.error("Error creating system collections:", error);
+          // Don't fail the registration if system collections fail
+        }
       }
     }
-    
-    // Generate token and send response
-    const token = jwt.sign(
-      {
-        email: user.email,
-        userId: user._id
-      },
-      process.env.JWT_KEY,
-    );
-    
-    res.cookie('jwtToken', token, {
-      sameSite: 'None', 
-      httpOnly: true, 
-      secure: process.env.NODE_ENV === 'production', 
-      maxAge: 3600*1000*2
-    });
-    
-    return res.status(200).send({
-      message: 'Auth successful',
-      token: token,
-      user,
-    });
+
+    return await completeLogin(res, user);
   } catch (error) {
+    // Deliberate answers (disabled account, bad token) keep their status
+    if (error instanceof ApiError) throw error;
     console.error("Error in Google authentication:", error);
     throw new ApiError(500, "Authentication failed");
   }
 });
 
+// Link Google to an existing password account. The password proves the
+// caller owns the account, the ID token proves they own the Google identity.
+export const linkGoogleAccount = asyncHandler(async (req, res) => {
+  const { idToken, password } = req.body;
+
+  if (!password || password.trim() === "") {
+    throw new ApiError(400, "Password is required");
+  }
+  const profile = await verifyGoogleIdToken(idToken);
+
+  const user = await User.findOne({ email: profile.email });
+  if (!user || !(await bcrypt.compare(password, user.password))) {
+    throw new ApiError(401, "Invalid credentials");
+  }
+  if (user.googleId && user.googleId !== profile.googleId) {
+    throw new ApiError(409, "This account is already linked to another Google account");
+  }
+
+  const linkedElsewhere = await User.exists({
+    googleId: profile.googleId,
+    _id: { $ne: user._id },
+  });
+  if (linkedElsewhere) {
+    throw new ApiError(409, "This Google account is already linked to another user");
+  }
+
+  user.googleId = profile.googleId;
+  if (!user.emailVerified) {
+    // Google has verified the address for us
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  return completeLogin(res, user);
+});
+
 export const authenticateUser = asyncHandler(async (req, res) => {
   try {
     const bearerHeader = req.headers.authorization;
     const token = bearerHeader.split(' ')[1]
-    const decodedToken = jwt.verify(token, process.env.JWT_KEY);
+    const decodedToken = await verifyAccessToken(token);
     const user = await User.findById(decodedToken.userId).populate('subscription')
     
     // Ensure Links is properly initialized
@@ -210,6 +327,128 @@ export const authenticateUser = asyncHandler(async (req, res) => {
 });
 
 export const logoutUser = asyncHandler(async (req, res) => {
-  res.clearCookie('jwtToken');
+  // Ends only the current session; other devices stay signed in
+  await revokeSession(req.userData.sid);
+  clearAuthCookies(res);
   res.redirect(200, process.env.REACT_APP_FRONTEND_URL);
-});
\ No newline at end of file
+});
+
+export const logoutAllDevices = asyncHandler(async (req, res) => {
+  const revoked = await revokeAllSessions(req.userData.userId);
+  clearAuthCookies(res);
+  res.status(200).json({
+    success: true,
+    message: 'Logged out of all devices',
+    sessionsRevoked: revoked,
+  });
+});
+
+export const refreshAccessToken = asyncHandler(async (req, res) => {
+  const refreshToken = req.body?.refreshToken || req.cookies?.refreshToken;
+
+  try {
+    // Disabled accounts lose their sessions on refresh
+    const session = await rotateRefreshToken(refreshToken, (userId) =>
+      User.findOne({ _id: userId, disabledAt: null })
+    );
+    setAuthCookies(res, session);
+    res.status(200).json({
+      success: true,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+    });
+  } catch (error) {
+    clearAuthCookies(res);
+    throw error;
+  }
+});
+
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const userId = await consumeEmailVerificationToken(token);
+  const user = userId ? await User.findById(userId) : null;
+  if (!user) {
+    throw new ApiError(400, "Invalid or expired verification link");
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified',
+  });
+});
+
+// Always answers the same way so it can't be used to probe for accounts
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || email.trim() === "") {
+    throw new ApiError(400, "Email is required");
+  }
+
+  const user = await User.findOne({ email: email.trim() });
+  if (user && !user.emailVerified) {
+    await sendVerificationEmail(user);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If the account exists and is unverified, a verification email has been sent',
+  });
+});
+
+// Always answers the same way so it can't be used to probe for accounts
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || email.trim() === "") {
+    throw new ApiError(400, "Email is required");
+  }
+
+  const user = await User.findOne({ email: email.trim() });
+  if (user) {
+    await sendPasswordResetEmail(user);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent',
+  });
+});
+
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!password || password.trim() === "") {
+    throw new ApiError(400, "Password is required");
+  }
+
+  const userId = await consumePasswordResetToken(token);
+  const user = userId ? await User.findById(userId) : null;
+  if (!user) {
+    throw new ApiError(400, "Invalid or expired reset link");
+  }
+
+  user.password = await bcrypt.hash(password, 10);
+  // The reset link reached the inbox, which proves ownership of the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  // Sign out everywhere in case the old password was compromised
+  await revokeAllSessions(user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset, please log in again',
+  });
+});
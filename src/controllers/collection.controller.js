@@ -5,10 +5,19 @@ import { ApiResponse } from "../utilities/ApiResponse.js";
 import { asyncHandler } from "../utilities/asyncHandler.js";
 import mongoose from "mongoose";
 import { User } from "../models/User.js";
+import { invalidatePublicCollection } from "../services/publicCollectionService.js";
+import { requireCollectionAccess } from "../services/collectionAccessService.js";
+import { CollectionMember } from "../models/CollectionMember.js";
+import {
+  buildCollectionTree,
+  getDescendantIds,
+  validateParentAssignment,
+} from "../services/collectionTreeService.js";
+import { withDisplayMetadata } from "../services/metadataService.js";
 
 // --- CREATE a new, empty collection ---
 export const createCollection = asyncHandler(async (req, res) => {
-  const { name } = req.body;
+  const { name, parent = null } = req.body;
   const { user_id } = req.params;
 
   // Validate user_id format
@@ -44,9 +53,13 @@ export const createCollection = asyncHandler(async (req, res) => {
     throw new ApiError(409, "A collection with this name already exists.");
   }
 
+  // Optional parent for creating a sub-collection
+  const parentId = await validateParentAssignment(user_id, null, parent);
+
   const newCollection = new Collection({
     name: sanitizedName,
     owner: user_id,
+    parent: parentId,
     links: [],
   });
 
@@ -150,21 +163,21 @@ export const getCollection = asyncHandler(async (req, res) => {
   }
 
   try {
-    const collection = await Collection.findOne({
-      _id: collectionId,
-      owner: user_id,
-    }).populate(
+    // Owners and collaborators (viewer or editor) can read the collection
+    const { collection, role } = await requireCollectionAccess(
+      collectionId,
+      user_id,
+      "viewer"
+    );
+    await collection.populate(
       "links",
       "shortId longUrl viewerCount analysisStatus aiSummary aiTags aiSafetyRating"
     );
 
-    if (!collection) {
-      throw new ApiError(404, "Collection not found or permission denied.");
-    }
-
     res.status(200).json({
       success: true,
       collection,
+      role,
     });
   } catch (error) {
     if (error instanceof ApiError) {
@@ -178,10 +191,10 @@ export const getCollection = asyncHandler(async (req, res) => {
   }
 });
 
-// --- UPDATE collection name ---
+// --- UPDATE collection name and/or parent ---
 export const updateCollection = asyncHandler(async (req, res) => {
   const { collectionId, user_id } = req.params;
-  const { name } = req.body;
+  const { name, parent } = req.body;
 
   // Validate IDs format
   if (
@@ -191,52 +204,145 @@ export const updateCollection = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid ID format.");
   }
 
-  // Validate and sanitize collection name
-  if (!name || typeof name !== "string" || name.trim().length === 0) {
-    throw new ApiError(400, "Collection name cannot be empty.");
+  if (name === undefined && parent === undefined) {
+    throw new ApiError(400, "Provide a new name and/or parent.");
   }
 
-  const sanitizedName = name.trim();
+  const update = {};
 
-  // Check name length
-  if (sanitizedName.length > 100) {
-    throw new ApiError(400, "Collection name cannot exceed 100 characters.");
+  if (name !== undefined) {
+    // Validate and sanitize collection name
+    if (!name || typeof name !== "string" || name.trim().length === 0) {
+      throw new ApiError(400, "Collection name cannot be empty.");
+    }
+
+    const sanitizedName = name.trim();
+
+    // Check name length
+    if (sanitizedName.length > 100) {
+      throw new ApiError(400, "Collection name cannot exceed 100 characters.");
+    }
+
+    // Check for potentially harmful characters (basic XSS prevention)
+    const harmfulPattern = /[<>\"'&]/;
+    if (harmfulPattern.test(sanitizedName)) {
+      throw new ApiError(400, "Collection name contains invalid characters.");
+    }
+
+    update.name = sanitizedName;
   }
 
-  // Check for potentially harmful characters (basic XSS prevention)
-  const harmfulPattern = /[<>\"'&]/;
-  if (harmfulPattern.test(sanitizedName)) {
-    throw new ApiError(400, "Collection name contains invalid characters.");
+  // Only the owner can rename or move a collection
+  await requireCollectionAccess(collectionId, user_id, "owner");
+
+  if (update.name) {
+    // Check for duplicate collection names for the same user (excluding current collection)
+    const existingCollection = await Collection.findOne({
+      owner: user_id,
+      name: update.name,
+      _id: { $ne: collectionId },
+    });
+
+    if (existingCollection) {
+      throw new ApiError(409, "A collection with this name already exists.");
+    }
   }
 
-  // Check for duplicate collection names for the same user (excluding current collection)
-  const existingCollection = await Collection.findOne({
-    owner: user_id,
-    name: sanitizedName,
-    _id: { $ne: collectionId },
+  if (parent !== undefined) {
+    // Moving: null makes it a root collection; cycles and depth are checked
+    update.parent = await validateParentAssignment(
+      user_id,
+      collectionId,
+      parent
+    );
+  }
+
+  const updatedCollection = await Collection.findByIdAndUpdate(
+    collectionId,
+    update,
+    { new: true, runValidators: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Collection updated successfully",
+    collection: updatedCollection,
   });
+});
 
-  if (existingCollection) {
-    throw new ApiError(409, "A collection with this name already exists.");
+// --- UPDATE public sharing (isPublic flag and slug) ---
+export const updateCollectionVisibility = asyncHandler(async (req, res) => {
+  const { collectionId, user_id } = req.params;
+  const { isPublic, slug } = req.body;
+
+  // Validate IDs format
+  if (
+    !mongoose.Types.ObjectId.isValid(collectionId) ||
+    !mongoose.Types.ObjectId.isValid(user_id)
+  ) {
+    throw new ApiError(400, "Invalid ID format.");
   }
 
-  const updatedCollection = await Collection.findOneAndUpdate(
-    {
-      _id: collectionId,
-      owner: user_id,
-    },
-    { name: sanitizedName },
-    { new: true, runValidators: true }
+  if (isPublic !== undefined && typeof isPublic !== "boolean") {
+    throw new ApiError(400, "isPublic must be a boolean.");
+  }
+
+  let sanitizedSlug;
+  if (slug !== undefined) {
+    if (typeof slug !== "string") {
+      throw new ApiError(400, "Slug must be a string.");
+    }
+    sanitizedSlug = slug.trim().toLowerCase();
+    if (
+      sanitizedSlug.length < 3 ||
+      sanitizedSlug.length > 60 ||
+      !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(sanitizedSlug)
+    ) {
+      throw new ApiError(
+        400,
+        "Slug must be 3-60 lowercase letters, numbers and single hyphens."
+      );
+    }
+  }
+
+  // Only the owner can publish or delete a collection
+  const { collection } = await requireCollectionAccess(
+    collectionId,
+    user_id,
+    "owner"
   );
 
-  if (!updatedCollection) {
-    throw new ApiError(404, "Collection not found or permission denied.");
+  if (sanitizedSlug && sanitizedSlug !== collection.slug) {
+    const slugTaken = await Collection.exists({
+      slug: sanitizedSlug,
+      _id: { $ne: collectionId },
+    });
+    if (slugTaken) {
+      throw new ApiError(409, "This slug is already in use.");
+    }
+  }
+
+  const previousSlug = collection.slug;
+  if (sanitizedSlug) collection.slug = sanitizedSlug;
+  if (isPublic !== undefined) collection.isPublic = isPublic;
+
+  if (collection.isPublic && !collection.slug) {
+    throw new ApiError(400, "A slug is required to make a collection public.");
   }
 
+  await collection.save();
+
+  // Revoke cached public copies under both the old and new slug
+  await invalidatePublicCollection(previousSlug);
+  await invalidatePublicCollection(collection.slug);
+
   res.status(200).json({
     success: true,
-    message: "Collection updated successfully",
-    collection: updatedCollection,
+    message: "Collection visibility updated successfully",
+    collection,
+    publicUrl: collection.isPublic
+      ? `${process.env.REACT_APP_FRONTEND_URL}/public/collections/${collection.slug}`
+      : null,
   });
 });
 
@@ -270,15 +376,12 @@ export const addLinksToCollection = asyncHandler(async (req, res) => {
     }
   }
 
-  // Check if collection exists and user owns it
-  const collection = await Collection.findOne({
-    _id: collectionId,
-    owner: user_id,
-  });
-
-  if (!collection) {
-    throw new ApiError(404, "Collection not found or permission denied.");
-  }
+  // The owner and editors can change which links are in a collection
+  const { collection } = await requireCollectionAccess(
+    collectionId,
+    user_id,
+    "editor"
+  );
 
   // Check if all links exist and belong to the user
   const links = await Link.find({
@@ -361,15 +464,12 @@ export const removeLinksFromCollection = asyncHandler(async (req, res) => {
     }
   }
 
-  // Check if collection exists and user owns it
-  const collection = await Collection.findOne({
-    _id: collectionId,
-    owner: user_id,
-  });
-
-  if (!collection) {
-    throw new ApiError(404, "Collection not found or permission denied.");
-  }
+  // The owner and editors can change which links are in a collection
+  const { collection } = await requireCollectionAccess(
+    collectionId,
+    user_id,
+    "editor"
+  );
 
   try {
     // Remove links from collection
@@ -422,15 +522,12 @@ export const deleteCollection = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid ID format.");
   }
 
-  // Check if collection exists and user owns it
-  const collection = await Collection.findOne({
-    _id: collectionId,
-    owner: user_id,
-  });
-
-  if (!collection) {
-    throw new ApiError(404, "Collection not found or permission denied.");
-  }
+  // Only the owner can publish or delete a collection
+  const { collection } = await requireCollectionAccess(
+    collectionId,
+    user_id,
+    "owner"
+  );
 
   try {
     // Remove this collection from all links that contain it
@@ -454,6 +551,9 @@ export const deleteCollection = asyncHandler(async (req, res) => {
       throw new ApiError(500, "Failed to delete collection. Please try again.");
     }
 
+    await invalidatePublicCollection(collection.slug);
+    await CollectionMember.deleteMany({ collectionId });
+
     res.status(200).json({
       success: true,
       message: "Collection deleted successfully.",
@@ -537,6 +637,31 @@ export const getCollectionStats = asyncHandler(async (req, res) => {
   }
 });
 
+// --- GET the full collection hierarchy with per-subtree counts ---
+export const getCollectionTree = asyncHandler(async (req, res) => {
+  const { user_id } = req.params;
+
+  // Validate user_id format
+  if (!mongoose.Types.ObjectId.isValid(user_id)) {
+    throw new ApiError(400, "Invalid user ID format.");
+  }
+
+  try {
+    const tree = await buildCollectionTree(user_id);
+
+    res.status(200).json({
+      success: true,
+      tree,
+    });
+  } catch (error) {
+    console.error(`Error building collection tree for user ${user_id}:`, error);
+    throw new ApiError(
+      500,
+      "An error occurred while fetching the collection tree. Please try again."
+    );
+  }
+});
+
 // --- GET dashboard data (user, links, collections) ---
 export const getDashboardData = asyncHandler(async (req, res) => {
   const { user_id } = req.params;
@@ -556,7 +681,7 @@ export const getDashboardData = asyncHandler(async (req, res) => {
       Link.find({ owner: user_id })
         .sort({ createdAt: -1 })
         .select(
-          "shortId longUrl viewerCount analysisStatus aiSummary aiTags aiSafetyRating aiClassification createdAt"
+          "shortId longUrl viewerCount analysisStatus aiSummary aiTags aiSafetyRating aiClassification moderation.status metadata customTitle customDescription createdAt"
         )
         .lean(),
 
@@ -591,7 +716,7 @@ export const getDashboardData = asyncHandler(async (req, res) => {
       success: true,
       data: {
         user,
-        links,
+        links: links.map(withDisplayMetadata),
         collections: collectionStats,
         stats: {
           totalLinks,
@@ -643,15 +768,12 @@ export const bulkAddLinksToCollection = asyncHandler(async (req, res) => {
     }
   }
 
-  // Check if collection exists and user owns it
-  const collection = await Collection.findOne({
-    _id: collectionId,
-    owner: user_id,
-  });
-
-  if (!collection) {
-    throw new ApiError(404, "Collection not found or permission denied.");
-  }
+  // The owner and editors can change which links are in a collection
+  const { collection } = await requireCollectionAccess(
+    collectionId,
+    user_id,
+    "editor"
+  );
 
   // Check if all links exist and belong to the user
   const links = await Link.find({
@@ -723,35 +845,14 @@ export const bulkMoveLinks = asyncHandler(async (req, res) => {
     }
   }
 
-  // Check if target collection exists and user owns it
-  const targetCollection = await Collection.findOne({
-    _id: targetCollectionId,
-    owner: user_id,
-  });
-
-  if (!targetCollection) {
-    throw new ApiError(
-      404,
-      "Target collection not found or permission denied."
-    );
-  }
+  // Moving links needs editor access to the target (and source, if given)
+  await requireCollectionAccess(targetCollectionId, user_id, "editor");
 
-  // Check if source collection exists (if provided)
   if (
     sourceCollectionId &&
     mongoose.Types.ObjectId.isValid(sourceCollectionId)
   ) {
-    const sourceCollection = await Collection.findOne({
-      _id: sourceCollectionId,
-      owner: user_id,
-    });
-
-    if (!sourceCollection) {
-      throw new ApiError(
-        404,
-        "Source collection not found or permission denied."
-      );
-    }
+    await requireCollectionAccess(sourceCollectionId, user_id, "editor");
   }
 
   // Check if all links exist and belong to the user
@@ -811,7 +912,11 @@ export const bulkMoveLinks = asyncHandler(async (req, res) => {
 // --- ENHANCED DELETE collection with option to delete links ---
 export const deleteCollectionEnhanced = asyncHandler(async (req, res) => {
   const { collectionId, user_id } = req.params;
-  const { deleteLinks = false } = req.query;
+  const { deleteLinks = false, children = "reparent" } = req.query;
+
+  if (!["reparent", "cascade"].includes(children)) {
+    throw new ApiError(400, "children must be either 'reparent' or 'cascade'.");
+  }
 
   // Validate IDs format
   if (
@@ -821,36 +926,41 @@ export const deleteCollectionEnhanced = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid ID format.");
   }
 
-  // Check if collection exists and user owns it
-  const collection = await Collection.findOne({
-    _id: collectionId,
-    owner: user_id,
-  });
-
-  if (!collection) {
-    throw new ApiError(404, "Collection not found or permission denied.");
-  }
+  // Only the owner can publish or delete a collection
+  const { collection } = await requireCollectionAccess(
+    collectionId,
+    user_id,
+    "owner"
+  );
 
   try {
-    if (
-      deleteLinks === "true" &&
-      collection.links &&
-      collection.links.length > 0
-    ) {
+    // Sub-collections are either deleted with their parent (cascade) or
+    // moved up to the deleted collection's own parent (reparent)
+    const descendantIds =
+      children === "cascade" ? await getDescendantIds(collectionId) : [];
+    const doomed = await Collection.find({
+      _id: { $in: [collection._id, ...descendantIds] },
+    })
+      .select("links slug")
+      .lean();
+    const doomedIds = doomed.map((entry) => entry._id);
+    const doomedLinkIds = doomed.flatMap((entry) => entry.links || []);
+
+    if (deleteLinks === "true" && doomedLinkIds.length > 0) {
       // Delete all links in the collection
       const deleteResult = await Link.deleteMany({
-        _id: { $in: collection.links },
+        _id: { $in: doomedLinkIds },
         owner: user_id,
       });
 
       console.log(
         `Deleted ${deleteResult.deletedCount} links from collection ${collectionId}`
       );
-    } else if (collection.links && collection.links.length > 0) {
-      // Remove this collection from all links that contain it
+    } else if (doomedLinkIds.length > 0) {
+      // Remove the deleted collections from all links that contain them
       const updateResult = await Link.updateMany(
-        { _id: { $in: collection.links } },
-        { $pull: { collections: collectionId } }
+        { _id: { $in: doomedLinkIds } },
+        { $pull: { collections: { $in: doomedIds } } }
       );
 
       if (updateResult.modifiedCount > 0) {
@@ -860,13 +970,29 @@ export const deleteCollectionEnhanced = asyncHandler(async (req, res) => {
       }
     }
 
-    // Delete the collection
-    const deleteResult = await Collection.findByIdAndDelete(collectionId);
+    let reparentedCount = 0;
+    if (children === "reparent") {
+      const reparentResult = await Collection.updateMany(
+        { parent: collection._id },
+        { $set: { parent: collection.parent || null } }
+      );
+      reparentedCount = reparentResult.modifiedCount;
+    }
 
-    if (!deleteResult) {
+    // Delete the collection (and its descendants when cascading)
+    const deleteResult = await Collection.deleteMany({
+      _id: { $in: doomedIds },
+    });
+
+    if (deleteResult.deletedCount === 0) {
       throw new ApiError(500, "Failed to delete collection. Please try again.");
     }
 
+    for (const entry of doomed) {
+      await invalidatePublicCollection(entry.slug);
+    }
+    await CollectionMember.deleteMany({ collectionId: { $in: doomedIds } });
+
     res.status(200).json({
       success: true,
       message: "Collection deleted successfully.",
@@ -875,6 +1001,9 @@ export const deleteCollectionEnhanced = asyncHandler(async (req, res) => {
         name: collection.name,
         linkCount: collection.links ? collection.links.length : 0,
         linksDeleted: deleteLinks === "true",
+        children,
+        deletedSubCollections: descendantIds.length,
+        reparentedSubCollections: reparentedCount,
       },
     });
   } catch (error) {
@@ -908,6 +1037,8 @@ export const filterLinks = asyncHandler(async (req, res) => {
     filterQuery.$or = [
       { longUrl: { $regex: searchQuery, $options: "i" } },
       { aiSummary: { $regex: searchQuery, $options: "i" } },
+      { customTitle: { $regex: searchQuery, $options: "i" } },
+      { "metadata.title": { $regex: searchQuery, $options: "i" } },
     ];
   }
 
@@ -984,7 +1115,7 @@ export const filterLinks = asyncHandler(async (req, res) => {
 
   res.status(200).json(
     new ApiResponse(200, {
-      links,
+      links: links.map(withDisplayMetadata),
       pagination: {
         page,
         limit,
@@ -0,0 +1,320 @@
+import mongoose from "mongoose";
+import { Collection } from "../models/Collection.js";
+import {
+  CollectionMember,
+  COLLECTION_ROLES,
+} from "../models/CollectionMember.js";
+import { User } from "../models/User.js";
+import { ApiError } from "../utilities/ApiError.js";
+import { asyncHandler } from "../utilities/asyncHandler.js";
+import { requireCollectionAccess } from "../services/collectionAccessService.js";
+import { sendCollectionInviteEmail } from "../services/accountEmailService.js";
+
+// Pending invitations addressed to this user: by account, or by email for
+// invitations sent before the account existed (verified addresses only)
+const invitationsFor = async (userId) => {
+  const user = await User.findById(userId).select("email emailVerified").lean();
+  if (!user) {
+    throw new ApiError(404, "User not found.");
+  }
+  const filter = { status: "PENDING", $or: [{ user: userId }] };
+  if (user.emailVerified && user.email) {
+    filter.$or.push({ user: null, email: user.email.toLowerCase() });
+  }
+  return filter;
+};
+
+const validateRole = (role) => {
+  if (!COLLECTION_ROLES.includes(role)) {
+    throw new ApiError(
+      400,
+      `Role must be one of: ${COLLECTION_ROLES.join(", ")}.`
+    );
+  }
+};
+
+// --- INVITE a user to a collection (owner only) ---
+export const inviteCollectionMember = asyncHandler(async (req, res) => {
+  const { collectionId, user_id } = req.params;
+  const { email, role = "viewer" } = req.body;
+
+  if (!email || typeof email !== "string" || email.trim() === "") {
+    throw new ApiError(400, "Email of the user to invite is required.");
+  }
+  validateRole(role);
+
+  const { collection } = await requireCollectionAccess(
+    collectionId,
+    user_id,
+    "owner"
+  );
+
+  if (collection.isSystem) {
+    throw new ApiError(400, "System collections cannot be shared.");
+  }
+
+  // The response is the same whether or not the email has an account, so
+  // inviting can't be used to find out who uses Linkly. The invitation is
+  // only tied to an account whose address is verified; otherwise it waits
+  // for whoever signs up and verifies that address (see invitationsFor).
+  const inviteeEmail = email.trim().toLowerCase();
+  const invitee = await User.findOne({ email: email.trim() })
+    .select("_id emailVerified")
+    .lean();
+  if (invitee && invitee._id.toString() === user_id) {
+    throw new ApiError(400, "You already own this collection.");
+  }
+  const inviteeId = invitee?.emailVerified ? invitee._id : null;
+
+  let member = await CollectionMember.findOne({
+    collectionId,
+    $or: [{ email: inviteeEmail }, ...(inviteeId ? [{ user: inviteeId }] : [])],
+  });
+  if (member && member.status !== "PENDING") {
+    throw new ApiError(
+      409,
+      "This person has already answered an invitation to this collection. Change their role from the members list instead."
+    );
+  }
+  if (member) {
+    // Inviting again updates the pending invitation and resends it
+    member.role = role;
+    await member.save();
+  } else {
+    member = await CollectionMember.create({
+      collectionId,
+      email: inviteeEmail,
+      user: inviteeId,
+      role,
+      invitedBy: user_id,
+    });
+  }
+
+  const inviter = await User.findById(user_id).select("username").lean();
+  await sendCollectionInviteEmail({
+    to: inviteeEmail,
+    inviterName: inviter?.username || "A Linkly user",
+    collectionName: collection.name,
+    role,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Invitation sent",
+    member: {
+      id: member._id,
+      email: member.email || inviteeEmail,
+      role: member.role,
+      status: member.status,
+    },
+  });
+});
+
+// --- GET the members of a collection (owner and collaborators) ---
+export const getCollectionMembers = asyncHandler(async (req, res) => {
+  const { collectionId, user_id } = req.params;
+
+  const { collection, role } = await requireCollectionAccess(
+    collectionId,
+    user_id,
+    "viewer"
+  );
+
+  const members = await CollectionMember.find({ collectionId })
+    .populate("user", "username email")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    owner: collection.owner,
+    role,
+    members: members.map((member) => ({
+      id: member._id,
+      email: member.email || member.user?.email || null,
+      // Accounts are only revealed once the invitation has been accepted
+      user: member.status === "ACCEPTED" ? member.user : null,
+      role: member.role,
+      status: member.status,
+      acceptedAt: member.acceptedAt,
+    })),
+  });
+});
+
+// --- UPDATE a collaborator's role (owner only) ---
+export const updateCollectionMember = asyncHandler(async (req, res) => {
+  const { collectionId, user_id, memberId } = req.params;
+  const { role } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(memberId)) {
+    throw new ApiError(400, "Invalid ID format.");
+  }
+  validateRole(role);
+
+  await requireCollectionAccess(collectionId, user_id, "owner");
+
+  const member = await CollectionMember.findOneAndUpdate(
+    { _id: memberId, collectionId },
+    { role },
+    { new: true, runValidators: true }
+  );
+  if (!member) {
+    throw new ApiError(404, "Member not found.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Member role updated",
+    member,
+  });
+});
+
+// --- REVOKE a membership (owner), or leave a shared collection (member) ---
+export const removeCollectionMember = asyncHandler(async (req, res) => {
+  const { collectionId, user_id, memberId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(memberId)) {
+    throw new ApiError(400, "Invalid ID format.");
+  }
+
+  const { role } = await requireCollectionAccess(
+    collectionId,
+    user_id,
+    "viewer"
+  );
+
+  const member = await CollectionMember.findOne({
+    _id: memberId,
+    collectionId,
+  });
+  if (!member) {
+    throw new ApiError(404, "Member not found.");
+  }
+  if (role !== "owner" && member.user?.toString() !== user_id) {
+    throw new ApiError(403, "Only the owner can remove other members.");
+  }
+
+  await member.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Member removed",
+  });
+});
+
+// --- GET pending invitations for the user ---
+export const getCollectionInvites = asyncHandler(async (req, res) => {
+  const { user_id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(user_id)) {
+    throw new ApiError(400, "Invalid user ID format.");
+  }
+
+  const invites = await CollectionMember.find(await invitationsFor(user_id))
+    .populate("collectionId", "name description color")
+    .populate("invitedBy", "username email")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    invites: invites.map((invite) => ({
+      id: invite._id,
+      collection: invite.collectionId,
+      role: invite.role,
+      invitedBy: invite.invitedBy,
+      createdAt: invite.createdAt,
+    })),
+  });
+});
+
+// --- ACCEPT a pending invitation ---
+export const acceptCollectionInvite = asyncHandler(async (req, res) => {
+  const { user_id, inviteId } = req.params;
+
+  if (
+    !mongoose.Types.ObjectId.isValid(inviteId) ||
+    !mongoose.Types.ObjectId.isValid(user_id)
+  ) {
+    throw new ApiError(400, "Invalid ID format.");
+  }
+
+  const invite = await CollectionMember.findOneAndUpdate(
+    { _id: inviteId, ...(await invitationsFor(user_id)) },
+    { user: user_id, status: "ACCEPTED", acceptedAt: new Date() },
+    { new: true }
+  );
+  if (!invite) {
+    throw new ApiError(404, "Invitation not found.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Invitation accepted",
+    member: invite,
+  });
+});
+
+// --- DECLINE a pending invitation ---
+export const declineCollectionInvite = asyncHandler(async (req, res) => {
+  const { user_id, inviteId } = req.params;
+
+  if (
+    !mongoose.Types.ObjectId.isValid(inviteId) ||
+    !mongoose.Types.ObjectId.isValid(user_id)
+  ) {
+    throw new ApiError(400, "Invalid ID format.");
+  }
+
+  const result = await CollectionMember.deleteOne({
+    _id: inviteId,
+    ...(await invitationsFor(user_id)),
+  });
+  if (result.deletedCount === 0) {
+    throw new ApiError(404, "Invitation not found.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Invitation declined",
+  });
+});
+
+// --- GET collections other users have shared with this user ---
+export const getSharedCollections = asyncHandler(async (req, res) => {
+  const { user_id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(user_id)) {
+    throw new ApiError(400, "Invalid user ID format.");
+  }
+
+  const memberships = await CollectionMember.find({
+    user: user_id,
+    status: "ACCEPTED",
+  })
+    .select("collectionId role")
+    .lean();
+  const collectionIds = memberships.map(
+    (membership) => membership.collectionId
+  );
+  const roles = new Map(
+    memberships.map((membership) => [
+      membership.collectionId.toString(),
+      membership.role,
+    ])
+  );
+
+  const collections = await Collection.find({ _id: { $in: collectionIds } })
+    .sort({ name: 1 })
+    .populate("owner", "username email")
+    .populate("links", "shortId longUrl viewerCount analysisStatus")
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    collections: collections.map((collection) => ({
+      ...collection,
+      role: roles.get(collection._id.toString()),
+    })),
+  });
+});
@@ -0,0 +1,157 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import { ExportJob, EXPORT_FORMATS } from "../models/ExportJob.js";
+import { User } from "../models/User.js";
+import { exportQueue } from "../jobs/queue.js";
+import { ApiError } from "../utilities/ApiError.js";
+import { asyncHandler } from "../utilities/asyncHandler.js";
+
+const serializeExport = (exportJob) => ({
+  id: exportJob._id,
+  status: exportJob.status,
+  formats: exportJob.formats,
+  files: exportJob.files.map(({ format, fileName, size }) => ({
+    format,
+    fileName,
+    size,
+  })),
+  linkCount: exportJob.linkCount,
+  collectionCount: exportJob.collectionCount,
+  error: exportJob.error,
+  createdAt: exportJob.createdAt,
+  completedAt: exportJob.completedAt,
+  expiresAt: exportJob.expiresAt,
+});
+
+// --- START an export of the user's links, collections and click counts ---
+export const createExport = asyncHandler(async (req, res) => {
+  const { user_id } = req.params;
+  const { formats = EXPORT_FORMATS } = req.body || {};
+
+  // Validate user_id format
+  if (!mongoose.Types.ObjectId.isValid(user_id)) {
+    throw new ApiError(400, "Invalid user ID format.");
+  }
+
+  if (
+    !Array.isArray(formats) ||
+    formats.length === 0 ||
+    formats.some((format) => !EXPORT_FORMATS.includes(format))
+  ) {
+    throw new ApiError(
+      400,
+      `formats must be a non-empty array of: ${EXPORT_FORMATS.join(", ")}.`
+    );
+  }
+
+  const user = await User.findById(user_id).select("_id").lean();
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  // One export at a time per user
+  const running = await ExportJob.findOne({
+    owner: user_id,
+    status: { $in: ["QUEUED", "PROCESSING"] },
+  }).lean();
+  if (running) {
+    throw new ApiError(409, "An export is already in progress.");
+  }
+
+  const exportJob = await ExportJob.create({
+    owner: user_id,
+    formats: [...new Set(formats)],
+  });
+
+  await exportQueue.add("export-account", { exportId: exportJob._id });
+
+  res.status(202).json({
+    success: true,
+    message: "Export queued",
+    export: serializeExport(exportJob),
+  });
+});
+
+// --- GET the user's recent exports ---
+export const getExports = asyncHandler(async (req, res) => {
+  const { user_id } = req.params;
+
+  // Validate user_id format
+  if (!mongoose.Types.ObjectId.isValid(user_id)) {
+    throw new ApiError(400, "Invalid user ID format.");
+  }
+
+  const exportJobs = await ExportJob.find({ owner: user_id })
+    .sort({ createdAt: -1 })
+    .limit(20)
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    exports: exportJobs.map(serializeExport),
+  });
+});
+
+// --- GET the status of one export ---
+export const getExport = asyncHandler(async (req, res) => {
+  const { user_id, exportId } = req.params;
+
+  // Validate IDs format
+  if (
+    !mongoose.Types.ObjectId.isValid(exportId) ||
+    !mongoose.Types.ObjectId.isValid(user_id)
+  ) {
+    throw new ApiError(400, "Invalid ID format.");
+  }
+
+  const exportJob = await ExportJob.findOne({
+    _id: exportId,
+    owner: user_id,
+  }).lean();
+
+  if (!exportJob) {
+    throw new ApiError(404, "Export not found or permission denied.");
+  }
+
+  res.status(200).json({
+    success: true,
+    export: serializeExport(exportJob),
+  });
+});
+
+// --- DOWNLOAD one format of a finished export ---
+export const downloadExport = asyncHandler(async (req, res) => {
+  const { user_id, exportId } = req.params;
+  const { format = "json" } = req.query;
+
+  // Validate IDs format
+  if (
+    !mongoose.Types.ObjectId.isValid(exportId) ||
+    !mongoose.Types.ObjectId.isValid(user_id)
+  ) {
+    throw new ApiError(400, "Invalid ID format.");
+  }
+
+  const exportJob = await ExportJob.findOne({
+    _id: exportId,
+    owner: user_id,
+  }).lean();
+
+  if (!exportJob) {
+    throw new ApiError(404, "Export not found or permission denied.");
+  }
+  if (exportJob.status !== "COMPLETED") {
+    throw new ApiError(
+      409,
+      `Export is not ready (status: ${exportJob.status}).`
+    );
+  }
+
+  const file = exportJob.files.find((entry) => entry.format === format);
+  if (!file || !fs.existsSync(file.path)) {
+    throw new ApiError(404, `No ${format} file is available for this export.`);
+  }
+
+  // Stream the file rather than reading it into memory
+  res.download(file.path, file.fileName);
+});
@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+import { ImportJob } from "../models/ImportJob.js";
+import { User } from "../models/User.js";
+import { importQueue } from "../jobs/queue.js";
+import { ApiError } from "../utilities/ApiError.js";
+import { asyncHandler } from "../utilities/asyncHandler.js";
+import {
+  detectImportFormat,
+  parseImportFile,
+} from "../services/importService.js";
+
+// --- START a bulk link import from an uploaded CSV or JSON file ---
+export const importLinks = asyncHandler(async (req, res) => {
+  const { user_id } = req.params;
+
+  // Validate user_id format
+  if (!mongoose.Types.ObjectId.isValid(user_id)) {
+    throw new ApiError(400, "Invalid user ID format.");
+  }
+
+  if (!req.file) {
+    throw new ApiError(
+      400,
+      "A CSV or JSON file is required in the 'file' field."
+    );
+  }
+
+  const format = detectImportFormat(req.file);
+  if (!format) {
+    throw new ApiError(
+      400,
+      "Unsupported file type. Upload a .csv or .json file."
+    );
+  }
+
+  const user = await User.findById(user_id).select("_id").lean();
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  const rows = parseImportFile(req.file.buffer, format);
+
+  const importJob = await ImportJob.create({
+    owner: user_id,
+    format,
+    fileName: req.file.originalname || null,
+    rows,
+    totalRows: rows.length,
+  });
+
+  await importQueue.add("import-links", { importId: importJob._id });
+
+  res.status(202).json({
+    success: true,
+    message: "Import queued",
+    import: {
+      id: importJob._id,
+      status: importJob.status,
+      format,
+      totalRows: importJob.totalRows,
+    },
+  });
+});
+
+// --- GET the status and per-row results of an import ---
+export const getImportStatus = asyncHandler(async (req, res) => {
+  const { user_id, importId } = req.params;
+
+  // Validate IDs format
+  if (
+    !mongoose.Types.ObjectId.isValid(importId) ||
+    !mongoose.Types.ObjectId.isValid(user_id)
+  ) {
+    throw new ApiError(400, "Invalid ID format.");
+  }
+
+  const importJob = await ImportJob.findOne({
+    _id: importId,
+    owner: user_id,
+  }).lean();
+
+  if (!importJob) {
+    throw new ApiError(404, "Import not found or permission denied.");
+  }
+
+  res.status(200).json({
+    success: true,
+    import: {
+      id: importJob._id,
+      status: importJob.status,
+      format: importJob.format,
+      fileName: importJob.fileName,
+      totalRows: importJob.totalRows,
+      processedRows: importJob.processedRows,
+      createdCount: importJob.createdCount,
+      failedCount: importJob.failedCount,
+      results: importJob.results,
+      error: importJob.error,
+      createdAt: importJob.createdAt,
+      completedAt: importJob.completedAt,
+    },
+  });
+});
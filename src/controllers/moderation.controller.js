@@ -0,0 +1,201 @@
+import mongoose from "mongoose";
+import { Link } from "../models/Link.js";
+import { LinkReport } from "../models/LinkReport.js";
+import {
+  ModerationAuditLog,
+  MODERATION_ACTIONS,
+} from "../models/ModerationAuditLog.js";
+import { ApiError } from "../utilities/ApiError.js";
+import { asyncHandler } from "../utilities/asyncHandler.js";
+import { FLAGGED_LINK_FILTER } from "../services/safetyService.js";
+import {
+  blockLink,
+  markFalsePositive,
+  disableLinkOwner,
+} from "../services/moderationService.js";
+
+const REVIEW_FIELDS =
+  "shortId longUrl owner viewerCount isActive analysisStatus aiSummary aiSafetyRating aiSafetyJustification aiClassification reputation reports redirectChain.finalUrl redirectChain.domainChanged moderation metadata.title createdAt updatedAt";
+
+// Which part of the queue to list. Pending covers links flagged by the
+// automatic checks and links reported by enough visitors.
+const QUEUE_FILTERS = {
+  pending: {
+    $or: [FLAGGED_LINK_FILTER, { "reports.queuedAt": { $ne: null } }],
+    "moderation.status": null,
+  },
+  blocked: { "moderation.status": "BLOCKED" },
+  false_positive: { "moderation.status": "FALSE_POSITIVE" },
+};
+
+const parsePagination = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100),
+});
+
+const parseNote = (note) => {
+  if (note === undefined || note === null) return "";
+  if (typeof note !== "string" || note.length > 1000) {
+    throw new ApiError(
+      400,
+      "note must be a string of at most 1000 characters."
+    );
+  }
+  return note.trim();
+};
+
+const findLink = async (linkId) => {
+  if (!mongoose.Types.ObjectId.isValid(linkId)) {
+    throw new ApiError(400, "Invalid link ID format.");
+  }
+  const link = await Link.findById(linkId);
+  if (!link) {
+    throw new ApiError(404, "Link not found");
+  }
+  return link;
+};
+
+// --- GET flagged links across all users ---
+export const getFlaggedLinks = asyncHandler(async (req, res) => {
+  const status = String(req.query.status || "pending").toLowerCase();
+  const filter = QUEUE_FILTERS[status];
+  if (!filter) {
+    throw new ApiError(
+      400,
+      `status must be one of: ${Object.keys(QUEUE_FILTERS).join(", ")}.`
+    );
+  }
+  const { page, limit } = parsePagination(req.query);
+
+  const [links, total] = await Promise.all([
+    Link.find(filter)
+      // Worst first: lowest AI rating, then most visited
+      .sort({ aiSafetyRating: 1, viewerCount: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(REVIEW_FIELDS)
+      .populate("owner", "username email subscription disabledAt")
+      .lean(),
+    Link.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    links,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  });
+});
+
+// --- GET one link with everything needed to review it ---
+export const getModerationLink = asyncHandler(async (req, res) => {
+  const link = await findLink(req.params.linkId);
+  await link.populate("owner", "username email subscription disabledAt");
+
+  const [auditLog, reports] = await Promise.all([
+    ModerationAuditLog.find({ link: link._id })
+      .sort({ createdAt: -1 })
+      .populate("actor", "username email")
+      .lean(),
+    // Latest visitor reports; the counts are on link.reports
+    LinkReport.find({ link: link._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select("reason details createdAt")
+      .lean(),
+  ]);
+
+  res.status(200).json({ success: true, link, auditLog, reports });
+});
+
+// --- POST confirm a flagged link and block it ---
+export const blockFlaggedLink = asyncHandler(async (req, res) => {
+  const link = await findLink(req.params.linkId);
+  const note = parseNote(req.body?.note);
+
+  await blockLink(req.userData.userId, link, note);
+
+  res.status(200).json({
+    success: true,
+    message: "Link blocked",
+    moderation: link.moderation,
+  });
+});
+
+// --- POST mark a flagged link as a false positive ---
+export const markLinkFalsePositive = asyncHandler(async (req, res) => {
+  const link = await findLink(req.params.linkId);
+  const note = parseNote(req.body?.note);
+
+  await markFalsePositive(req.userData.userId, link, note);
+
+  res.status(200).json({
+    success: true,
+    message: "Link marked as a false positive",
+    moderation: link.moderation,
+  });
+});
+
+// --- POST disable the account that owns a flagged link ---
+export const disableFlaggedLinkOwner = asyncHandler(async (req, res) => {
+  const link = await findLink(req.params.linkId);
+  const note = parseNote(req.body?.note);
+
+  if (link.owner.toString() === req.userData.userId.toString()) {
+    throw new ApiError(400, "You cannot disable your own account.");
+  }
+
+  const owner = await disableLinkOwner(req.userData.userId, link, note);
+  if (!owner) {
+    throw new ApiError(404, "The owner of this link no longer exists.");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Owner account disabled and link blocked",
+    owner: { _id: owner._id, email: owner.email, disabledAt: owner.disabledAt },
+    moderation: link.moderation,
+  });
+});
+
+// --- GET the moderation audit log ---
+export const getModerationAuditLog = asyncHandler(async (req, res) => {
+  const { action, linkId, userId } = req.query;
+  const { page, limit } = parsePagination(req.query);
+
+  const filter = {};
+  if (action) {
+    if (!MODERATION_ACTIONS.includes(action)) {
+      throw new ApiError(
+        400,
+        `action must be one of: ${MODERATION_ACTIONS.join(", ")}.`
+      );
+    }
+    filter.action = action;
+  }
+  for (const [field, value] of [
+    ["link", linkId],
+    ["targetUser", userId],
+  ]) {
+    if (value === undefined) continue;
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new ApiError(400, `Invalid ${field} ID format.`);
+    }
+    filter[field] = value;
+  }
+
+  const [entries, total] = await Promise.all([
+    ModerationAuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("actor", "username email")
+      .lean(),
+    ModerationAuditLog.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    entries,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  });
+});
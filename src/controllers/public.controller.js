@@ -0,0 +1,22 @@
+import { ApiError } from "../utilities/ApiError.js";
+import { ApiResponse } from "../utilities/ApiResponse.js";
+import { asyncHandler } from "../utilities/asyncHandler.js";
+import { getPublicCollection } from "../services/publicCollectionService.js";
+
+// --- GET a public collection by its slug (no authentication) ---
+export const getPublicCollectionBySlug = asyncHandler(async (req, res) => {
+  const slug = String(req.params.slug || "").toLowerCase();
+
+  if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug)) {
+    throw new ApiError(404, "Collection not found");
+  }
+
+  const collection = await getPublicCollection(slug);
+  if (!collection) {
+    throw new ApiError(404, "Collection not found");
+  }
+
+  // Browsers and proxies must revalidate so unpublishing takes effect at once
+  res.set("Cache-Control", "no-cache");
+  res.status(200).json(new ApiResponse(200, { collection }));
+});
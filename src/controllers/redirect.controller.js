@@ -5,6 +5,29 @@ import redisClient from "../db/redis.js";
 import { Link } from "../models/Link.js";
 import { analysisQueue } from "../jobs/queue.js";
 import { Collection } from "../models/Collection.js";
+import { recordClick } from "../services/analyticsService.js";
+import { createLinkForUser } from "../services/linkService.js";
+import { notifyClickMilestone } from "../services/webhookService.js";
+import { getRedirectWarning } from "../services/safetyService.js";
+import { renderBlockedPage } from "../services/moderationService.js";
+import { evaluateUrlReputation } from "../services/reputationService.js";
+import {
+  parseMetadataOverrides,
+  withDisplayMetadata,
+} from "../services/metadataService.js";
+import {
+  cacheLink,
+  deactivateLink,
+  getExpiryReason,
+  getLinkByShortId,
+  parseLifecycleSettings,
+} from "../services/linkLifecycleService.js";
+import {
+  hashLinkPassword,
+  hasValidUnlockCookie,
+  issueUnlockCookie,
+  verifyLinkPassword,
+} from "../services/linkAccessService.js";
 
 const updateViewerCount = async (web_id) => {
   try {
@@ -24,82 +47,99 @@ const updateViewerCount = async (web_id) => {
 };
 // ... (all other controller functions remain the same)
 
-// Improved short ID generation function
-const generateShortId = async (length = 7) => {
-  const maxRetries = 10;
-  const chars = "abcdefghijklmnopqrstuvwxyz0123456789";
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    // Generate random string
-    let shortId = "";
-    for (let i = 0; i < length; i++) {
-      shortId += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-
-    // Check if it already exists
-    const existingLink = await Link.findOne({ shortId });
-    if (!existingLink) {
-      return shortId;
-    }
-
-    // If we're on the last attempt, try with a longer ID
-    if (attempt === maxRetries) {
-      return await generateShortId(length + 1);
-    }
-
-    // Add a small delay to avoid overwhelming the database
-    if (attempt > 5) {
-      await new Promise((resolve) => setTimeout(resolve, 10));
-    }
+// Expired links go to their fallback URL if one is configured, else a 410
+const respondExpired = (res, linkData, reason) => {
+  const fallbackUrl =
+    linkData.fallbackUrl || process.env.EXPIRED_LINK_FALLBACK_URL;
+  if (fallbackUrl) {
+    return res.redirect(302, fallbackUrl);
   }
-
-  // Fallback: generate with timestamp to ensure uniqueness
-  const timestamp = Date.now().toString(36);
-  const random = Math.random().toString(36).substring(2, 4);
-  return `${timestamp}${random}`.substring(0, length);
+  throw new ApiError(
+    410,
+    reason === "CLICKS"
+      ? "This link has reached its maximum number of clicks"
+      : "This link has expired"
+  );
 };
 
 // ⭐️ HANDLE the public redirect with SAFETY WARNING ⭐️
 export const handleRedirect = asyncHandler(async (req, res) => {
   const { web_id } = req.params;
-  const cacheKey = `link:${web_id}`;
-  let linkData;
+  // 1-3. Redis first, then MongoDB (the result is cached)
+  const linkData = await getLinkByShortId(web_id);
 
-  // 1. Check Redis for the full link object
-  const cachedData = await redisClient.get(cacheKey);
+  // --- 3a. MODERATION BLOCK: confirmed unsafe, no way through ---
+  if (linkData.moderation?.status === "BLOCKED") {
+    return res.status(403).type("html").send(renderBlockedPage(web_id));
+  }
 
-  if (cachedData) {
-    // 2a. CACHE HIT: Parse the JSON string from the cache
-    linkData = JSON.parse(cachedData);
-    // Asynchronously update the viewer count
-    Link.updateOne({ shortId: web_id }, { $inc: { viewerCount: 1 } }).exec();
-  } else {
-    // 2b. CACHE MISS: Query the database
-    const link = await Link.findOne({ shortId: web_id });
-    if (!link) {
-      throw new ApiError(404, "Link not found");
-    }
+  // --- 3b. EXPIRY CHECK (by date, or already deactivated) ---
+  const expiryReason = getExpiryReason(linkData);
+  if (expiryReason) {
+    return respondExpired(res, linkData, expiryReason);
+  }
 
-    link.viewerCount += 1;
-    await link.save();
+  // --- 3c. PASSWORD GATE: send visitors to the unlock step first ---
+  if (linkData.passwordProtected && !hasValidUnlockCookie(req, web_id)) {
+    return res.redirect(
+      `${
+        process.env.REACT_APP_FRONTEND_URL
+      }/unlock?shortId=${encodeURIComponent(web_id)}`
+    );
+  }
 
-    // 3. Cache the entire link object as a JSON string
-    // We use lean() to get a plain JS object to avoid caching Mongoose methods
-    linkData = link.toObject();
-    await redisClient.set(cacheKey, JSON.stringify(linkData), "EX", 3600);
+  // Count the click. Click-capped links use a conditional increment so
+  // concurrent visitors can't push viewerCount past maxClicks.
+  if (linkData.maxClicks) {
+    const counted = await Link.findOneAndUpdate(
+      { shortId: web_id, viewerCount: { $lt: linkData.maxClicks } },
+      { $inc: { viewerCount: 1 } },
+      { new: true, projection: { viewerCount: 1 } }
+    );
+    if (!counted) {
+      await deactivateLink(web_id, "CLICKS");
+      return respondExpired(res, linkData, "CLICKS");
+    }
+    notifyClickMilestone(linkData, counted.viewerCount);
+    if (counted.viewerCount >= linkData.maxClicks) {
+      // This was the last allowed click; let it through but retire the link
+      await deactivateLink(web_id, "CLICKS");
+    }
+  } else {
+    // Asynchronously update the viewer count
+    Link.findOneAndUpdate(
+      { shortId: web_id },
+      { $inc: { viewerCount: 1 } },
+      { new: true, projection: { viewerCount: 1 } }
+    )
+      .then((counted) => {
+        if (counted) notifyClickMilestone(linkData, counted.viewerCount);
+      })
+      .catch((error) => console.error("Failed to count click:", error));
   }
 
+  // Buffer the click event in Redis; the worker flushes it to MongoDB
+  recordClick(req, linkData._id);
+
   // --- 4. THE NEW SAFETY CHECK ---
-  // Check if analysis is complete and the score is below the threshold (e.g., < 3)
-  if (linkData.analysisStatus === "COMPLETED" && linkData.aiSafetyRating < 3) {
+  // Rule-based reputation verdict first, then the AI safety rating (< 3) and
+  // category
+  const warning = getRedirectWarning(linkData);
+  if (warning) {
     console.log(
       `Unsafe link detected: ${linkData.shortId}. Redirecting to warning page.`
     );
     // Redirect to a frontend warning page, passing the destination and reason as query params
     const destinationUrl = encodeURIComponent(linkData.longUrl);
-    const reason = encodeURIComponent(linkData.aiSafetyJustification);
+    const reason = encodeURIComponent(warning);
+    // Where the destination redirects to, when the worker has resolved that
+    const finalUrl = linkData.redirectChain?.finalUrl;
+    const finalParam =
+      finalUrl && finalUrl !== linkData.longUrl
+        ? `&finalDestination=${encodeURIComponent(finalUrl)}`
+        : "";
     return res.redirect(
-      `${process.env.REACT_APP_FRONTEND_URL}/warning?destination=${destinationUrl}&reason=${reason}`
+      `${process.env.REACT_APP_FRONTEND_URL}/warning?destination=${destinationUrl}&reason=${reason}${finalParam}`
     );
   }
 
@@ -107,10 +147,40 @@ export const handleRedirect = asyncHandler(async (req, res) => {
   return res.redirect(302, linkData.longUrl);
 });
 
+// Verify the password for a protected link, then hand back to handleRedirect
+export const unlockLink = asyncHandler(async (req, res) => {
+  const { web_id } = req.params;
+  const { password } = req.body;
+
+  const link = await Link.findOne({ shortId: web_id }).select("+password");
+  if (!link) {
+    throw new ApiError(404, "Link not found");
+  }
+  if (!link.passwordProtected) {
+    return res.redirect(303, `/linkly/${web_id}`);
+  }
+
+  const expiryReason = getExpiryReason(link.toObject());
+  if (expiryReason) {
+    return respondExpired(res, link, expiryReason);
+  }
+
+  const isValid = await verifyLinkPassword(password, link.password);
+  if (!isValid) {
+    throw new ApiError(401, "Incorrect password");
+  }
+
+  issueUnlockCookie(res, web_id);
+  return res.redirect(303, `/linkly/${web_id}`);
+});
+
 export const addurl = asyncHandler(async (req, res) => {
   try {
     const { oldLink, customShortId } = req.body;
     const user_id = req.params.user_id;
+    // Optional expiry settings (expiresAt, maxClicks, fallbackUrl)
+    const lifecycle = parseLifecycleSettings(req.body);
+    const passwordHash = await hashLinkPassword(req.body.password);
     const user = await User.findById(user_id);
 
     if (!user) {
@@ -118,71 +188,23 @@ export const addurl = asyncHandler(async (req, res) => {
       throw new ApiError(404, "User not found");
     }
 
-    if (!oldLink.startsWith("http://") && !oldLink.startsWith("https://")) {
-      console.log("Invalid URL   ", oldLink);
-      throw new ApiError(
-        400,
-        "Invalid URL: URL must start with 'http://' or 'https://'"
-      );
-    }
-
-    // Check if link already exists for this user
-    const existingLink = await Link.findOne({
+    // Validation, short ID allocation and analysis queueing live in linkService
+    const newLink = await createLinkForUser(user_id, {
       longUrl: oldLink,
-      owner: user_id,
+      customShortId,
+      ...lifecycle,
+      password: passwordHash || null,
+      passwordProtected: !!passwordHash,
     });
-
-    if (existingLink) {
-      console.log("Link already exists for this user");
-      throw new ApiError(400, "Link already exists for this user");
-    }
-
-    let shortId;
-
-    if (customShortId) {
-      // Validate custom short ID
-      if (customShortId.length < 3 || customShortId.length > 20) {
-        throw new ApiError(
-          400,
-          "Custom short ID must be between 3 and 20 characters"
-        );
-      }
-
-      // Check if custom short ID contains only valid characters
-      if (!/^[a-zA-Z0-9_-]+$/.test(customShortId)) {
-        throw new ApiError(
-          400,
-          "Custom short ID can only contain letters, numbers, hyphens, and underscores"
-        );
-      }
-
-      // Check if custom short ID already exists
-      const existingCustomLink = await Link.findOne({ shortId: customShortId });
-      if (existingCustomLink) {
-        throw new ApiError(400, "Custom short ID already exists");
-      }
-
-      shortId = customShortId;
-    } else {
-      // Generate unique short ID
-      shortId = await generateShortId();
-    }
-
-    const newLink = new Link({
-      shortId,
-      longUrl: oldLink,
-      owner: user_id,
-    });
-
-    await newLink.save();
-
-    // Add a job to the queue to analyze this link in the background
-    await analysisQueue.add("analyze-link", { linkId: newLink._id });
+    const { shortId } = newLink;
 
     res.status(200).json({
       message: "Link added successfully",
       shortUrl: `${process.env.REACT_APP_FRONTEND_URL}/linkly/${shortId}`,
       isCustom: !!customShortId,
+      expiresAt: newLink.expiresAt,
+      maxClicks: newLink.maxClicks,
+      passwordProtected: newLink.passwordProtected,
     });
   } catch (err) {
     console.log(err);
@@ -252,7 +274,7 @@ export const geturls = asyncHandler(async (req, res) => {
 
     // Send the full link objects back to the frontend
     res.status(200).json({
-      urls: userLinks,
+      urls: userLinks.map(withDisplayMetadata),
     });
   } catch (err) {
     console.log(err);
@@ -332,13 +354,7 @@ export const editShortUrl = asyncHandler(async (req, res) => {
     await oldLink.save();
 
     // Set cache for the new short ID
-    const newCacheKey = `link:${newShortId}`;
-    await redisClient.set(
-      newCacheKey,
-      JSON.stringify(oldLink.toObject()),
-      "EX",
-      3600
-    );
+    await cacheLink(oldLink.toObject());
 
     res.status(200).json({
       message: "Short URL updated successfully",
@@ -359,10 +375,24 @@ export const editLongUrl = asyncHandler(async (req, res) => {
     const { linkId } = req.params;
     const { newLongUrl } = req.body;
     const { user_id } = req.params; // Or from req.userData if you prefer
+    const lifecycle = parseLifecycleSettings(req.body);
+    const overrides = parseMetadataOverrides(req.body);
+    const passwordHash = await hashLinkPassword(req.body.password);
 
     if (
-      !newLongUrl ||
-      (!newLongUrl.startsWith("http://") && !newLongUrl.startsWith("https://"))
+      newLongUrl === undefined &&
+      passwordHash === undefined &&
+      Object.keys(lifecycle).length === 0 &&
+      Object.keys(overrides).length === 0
+    ) {
+      throw new ApiError(400, "Nothing to update.");
+    }
+
+    if (
+      newLongUrl !== undefined &&
+      (!newLongUrl ||
+        (!newLongUrl.startsWith("http://") &&
+          !newLongUrl.startsWith("https://")))
     ) {
       throw new ApiError(400, "A valid new long URL is required.");
     }
@@ -376,19 +406,49 @@ export const editLongUrl = asyncHandler(async (req, res) => {
       );
     }
 
-    link.longUrl = newLongUrl;
-    // When a link is edited, its content has changed, so we must re-analyze it.
-    link.analysisStatus = "PENDING";
+    const urlChanged = newLongUrl !== undefined && newLongUrl !== link.longUrl;
+    if (urlChanged) {
+      link.longUrl = newLongUrl;
+      // When a link is edited, its content has changed, so we must re-analyze it.
+      link.analysisStatus = "PENDING";
+      link.reputation = await evaluateUrlReputation(newLongUrl);
+      link.redirectChain = undefined; // Resolved again by the worker
+      // A false-positive review was about the old destination
+      if (link.moderation?.status === "FALSE_POSITIVE") {
+        link.moderation.status = null;
+      }
+    }
+
+    Object.assign(link, overrides);
+
+    // Apply expiry changes; extending a limit brings an expired link back
+    Object.assign(link, lifecycle);
+    const expiryReason = getExpiryReason({
+      ...link.toObject(),
+      isActive: true,
+    });
+    link.isActive = !expiryReason;
+    link.expiredReason = expiryReason;
+
+    // Set, change or remove (null) the access password
+    if (passwordHash !== undefined) {
+      link.password = passwordHash;
+      link.passwordProtected = !!passwordHash;
+    }
     await link.save();
 
     // Invalidate the cache for the old entry
     await redisClient.del(`link:${link.shortId}`);
 
-    // Add a new job to the queue to re-analyze the updated link
-    // Make sure 'analysisQueue' is imported from '../jobs/queue.js'
-    await analysisQueue.add("analyze-link", { linkId: link._id });
+    if (urlChanged) {
+      // Add a new job to the queue to re-analyze the updated link
+      await analysisQueue.add("analyze-link", { linkId: link._id });
+    }
 
-    res.status(200).json({ message: "Link updated successfully", link });
+    res.status(200).json({
+      message: "Link updated successfully",
+      link: withDisplayMetadata(link),
+    });
   } catch (err) {
     console.error("Error in editLongUrl:", err);
     res.status(err.statusCode || 500).json({
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import { Link } from "../models/Link.js";
+import { LinkReport } from "../models/LinkReport.js";
+import { ApiError } from "../utilities/ApiError.js";
+import { asyncHandler } from "../utilities/asyncHandler.js";
+import { getLinkByShortId } from "../services/linkLifecycleService.js";
+import { parseReport, submitLinkReport } from "../services/reportService.js";
+
+// --- POST a visitor's abuse report against a short link (public) ---
+export const reportLink = asyncHandler(async (req, res) => {
+  const { web_id } = req.params;
+  const report = parseReport(req.body);
+
+  // Same lookup as handleRedirect: Redis first, then MongoDB
+  const linkData = await getLinkByShortId(web_id);
+  await submitLinkReport(linkData, report, req.ip);
+
+  res.status(201).json({
+    success: true,
+    message: "Thank you. Your report has been received and will be reviewed.",
+  });
+});
+
+// --- GET reports filed against one of the user's links ---
+export const getLinkReports = asyncHandler(async (req, res) => {
+  const { user_id, linkId } = req.params;
+
+  if (
+    !mongoose.Types.ObjectId.isValid(linkId) ||
+    !mongoose.Types.ObjectId.isValid(user_id)
+  ) {
+    throw new ApiError(400, "Invalid ID format.");
+  }
+
+  const link = await Link.findOne({ _id: linkId, owner: user_id })
+    .select("shortId reports moderation.status")
+    .lean();
+  if (!link) {
+    throw new ApiError(404, "Link not found or permission denied.");
+  }
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  // Reporter hashes stay out of the response (select: false on the model)
+  const [reports, total] = await Promise.all([
+    LinkReport.find({ link: link._id })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("reason details createdAt")
+      .lean(),
+    LinkReport.countDocuments({ link: link._id }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    summary: {
+      ...link.reports,
+      inModerationQueue: !!link.reports?.queuedAt,
+      moderationStatus: link.moderation?.status || null,
+    },
+    reports,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  });
+});
@@ -0,0 +1,148 @@
+import bcrypt from "bcrypt";
+import { User } from "../models/User.js";
+import { ApiError } from "../utilities/ApiError.js";
+import { asyncHandler } from "../utilities/asyncHandler.js";
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes,
+  checkSecondFactor,
+} from "../services/twoFactorService.js";
+
+const TWO_FACTOR_SECRETS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep";
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select(TWO_FACTOR_SECRETS);
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+  return user;
+};
+
+// Turning 2FA off or replacing backup codes needs the password as well as a
+// code, so an access token on its own isn't enough
+const requirePassword = async (user, password) => {
+  if (
+    !password ||
+    typeof password !== "string" ||
+    !(await bcrypt.compare(password, user.password))
+  ) {
+    throw new ApiError(400, "Incorrect password.");
+  }
+};
+
+// --- GET 2FA status ---
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await loadUser(req.userData.userId);
+
+  res.status(200).json({
+    success: true,
+    enabled: user.twoFactor.enabled,
+    enabledAt: user.twoFactor.enabledAt,
+    backupCodesRemaining: user.twoFactor.enabled
+      ? (user.twoFactor.backupCodes || []).length
+      : 0,
+  });
+});
+
+// --- START enrollment: new secret and provisioning URI for the QR code ---
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await loadUser(req.userData.userId);
+
+  if (user.twoFactor.enabled) {
+    throw new ApiError(400, "Two-factor authentication is already enabled.");
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    secret,
+    otpauthUri: buildOtpauthUri(secret, user.email),
+  });
+});
+
+// --- CONFIRM enrollment with a code from the app; returns backup codes once ---
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await loadUser(req.userData.userId);
+
+  if (user.twoFactor.enabled) {
+    throw new ApiError(400, "Two-factor authentication is already enabled.");
+  }
+  if (!user.twoFactor.pendingSecret) {
+    throw new ApiError(400, "Start two-factor setup first.");
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    throw new ApiError(400, "Invalid verification code.");
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.backupCodes = hashes;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication enabled",
+    backupCodes: codes,
+  });
+});
+
+// --- DISABLE 2FA (needs the password and a current code or a backup code) ---
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, backupCode } = req.body;
+  const user = await loadUser(req.userData.userId);
+
+  if (!user.twoFactor.enabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled.");
+  }
+  await requirePassword(user, password);
+  if (!checkSecondFactor(user, { code, backupCode })) {
+    throw new ApiError(400, "Invalid verification code.");
+  }
+
+  user.twoFactor = { enabled: false, enabledAt: null };
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+// --- REGENERATE backup codes (password and code); old ones stop working ---
+export const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  const user = await loadUser(req.userData.userId);
+
+  if (!user.twoFactor.enabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled.");
+  }
+  await requirePassword(user, password);
+  if (!checkSecondFactor(user, { code })) {
+    throw new ApiError(400, "Invalid verification code.");
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactor.backupCodes = hashes;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    backupCodes: codes,
+  });
+});
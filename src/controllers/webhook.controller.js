@@ -0,0 +1,149 @@
+import mongoose from "mongoose";
+import { Webhook, WEBHOOK_EVENTS } from "../models/Webhook.js";
+import { WebhookDelivery } from "../models/WebhookDelivery.js";
+import { ApiError } from "../utilities/ApiError.js";
+import { asyncHandler } from "../utilities/asyncHandler.js";
+import {
+  generateWebhookSecret,
+  validateWebhookUrl,
+} from "../services/webhookService.js";
+
+const MAX_WEBHOOKS = 10;
+
+const validateEvents = (events) => {
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    !events.every((event) => WEBHOOK_EVENTS.includes(event))
+  ) {
+    throw new ApiError(
+      400,
+      `Events must be a non-empty array of: ${WEBHOOK_EVENTS.join(", ")}.`
+    );
+  }
+  return [...new Set(events)];
+};
+
+const findWebhook = async (webhookId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(webhookId)) {
+    throw new ApiError(400, "Invalid webhook ID format.");
+  }
+  const webhook = await Webhook.findOne({ _id: webhookId, owner: userId });
+  if (!webhook) {
+    throw new ApiError(404, "Webhook not found or permission denied.");
+  }
+  return webhook;
+};
+
+// --- GET the user's webhooks ---
+export const getWebhooks = asyncHandler(async (req, res) => {
+  const { user_id } = req.params;
+
+  const webhooks = await Webhook.find({ owner: user_id })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    events: WEBHOOK_EVENTS,
+    webhooks,
+  });
+});
+
+// --- CREATE a webhook; the signing secret is only returned here ---
+export const createWebhook = asyncHandler(async (req, res) => {
+  const { user_id } = req.params;
+  const { url, events, description } = req.body;
+
+  const count = await Webhook.countDocuments({ owner: user_id });
+  if (count >= MAX_WEBHOOKS) {
+    throw new ApiError(400, `You can have at most ${MAX_WEBHOOKS} webhooks.`);
+  }
+
+  const secret = generateWebhookSecret();
+  const webhook = await Webhook.create({
+    owner: user_id,
+    url: await validateWebhookUrl(url),
+    events: validateEvents(events),
+    description,
+    secret,
+  });
+
+  const { secret: _secret, ...webhookData } = webhook.toObject();
+  res.status(201).json({
+    success: true,
+    message: "Webhook created. Store the secret now, it won't be shown again.",
+    secret,
+    webhook: webhookData,
+  });
+});
+
+// --- UPDATE a webhook (url, events, description, active, secret rotation) ---
+export const updateWebhook = asyncHandler(async (req, res) => {
+  const { user_id, webhookId } = req.params;
+  const { url, events, description, active, rotateSecret } = req.body;
+
+  const webhook = await findWebhook(webhookId, user_id);
+
+  if (url !== undefined) webhook.url = await validateWebhookUrl(url);
+  if (events !== undefined) webhook.events = validateEvents(events);
+  if (description !== undefined) webhook.description = description;
+  if (active !== undefined) {
+    if (typeof active !== "boolean") {
+      throw new ApiError(400, "active must be a boolean.");
+    }
+    webhook.active = active;
+  }
+
+  let secret;
+  if (rotateSecret === true) {
+    secret = generateWebhookSecret();
+    webhook.secret = secret;
+  }
+
+  await webhook.save();
+
+  const { secret: _secret, ...webhookData } = webhook.toObject();
+  res.status(200).json({
+    success: true,
+    message: "Webhook updated",
+    ...(secret && { secret }),
+    webhook: webhookData,
+  });
+});
+
+// --- DELETE a webhook and its delivery log ---
+export const deleteWebhook = asyncHandler(async (req, res) => {
+  const { user_id, webhookId } = req.params;
+
+  const webhook = await findWebhook(webhookId, user_id);
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+  await webhook.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Webhook deleted",
+  });
+});
+
+// --- GET recent delivery attempts for a webhook ---
+export const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const { user_id, webhookId } = req.params;
+  const { status } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  const webhook = await findWebhook(webhookId, user_id);
+
+  const filter = { webhook: webhook._id };
+  if (status) filter.status = String(status).toUpperCase();
+
+  const deliveries = await WebhookDelivery.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    deliveries,
+  });
+});
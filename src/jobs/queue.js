@@ -3,6 +3,9 @@ import "dotenv/config";
 
 const connection = process.env.REDIS_URL;
 
+// Link analyses and the scheduled recheck-link jobs. Finished jobs are
+// trimmed; a recheck's job ID only blocks re-queueing its slot while the job
+// is still kept.
 export const analysisQueue = new Queue("link-analysis", {
   connection,
   defaultJobOptions: {
@@ -11,5 +14,58 @@ export const analysisQueue = new Queue("link-analysis", {
       type: "exponential",
       delay: 5000, // wait 5s before first retry
     },
+    removeOnComplete: 100,
+    removeOnFail: 500,
+  },
+});
+
+// Periodic housekeeping jobs (click buffer flushes, sweeps, re-checks)
+export const maintenanceQueue = new Queue("link-maintenance", {
+  connection,
+  defaultJobOptions: {
+    removeOnComplete: 100,
+    removeOnFail: 500,
+  },
+});
+
+// Bulk link imports. Not retried: a partial run has already created links.
+export const importQueue = new Queue("link-import", {
+  connection,
+  defaultJobOptions: {
+    attempts: 1,
+    removeOnComplete: 100,
+    removeOnFail: 100,
+  },
+});
+
+// Full account data exports
+export const exportQueue = new Queue("account-export", {
+  connection,
+  defaultJobOptions: {
+    attempts: 2,
+    backoff: { type: "exponential", delay: 10000 },
+    removeOnComplete: 100,
+    removeOnFail: 100,
+  },
+});
+
+// Outgoing webhook deliveries, retried with backoff (~10s up to ~5min)
+export const webhookQueue = new Queue("webhook-delivery", {
+  connection,
+  defaultJobOptions: {
+    attempts: 6,
+    backoff: { type: "exponential", delay: 10000 },
+    removeOnComplete: 1000,
+    removeOnFail: 1000,
+  },
+});
+
+// Deliveries that exhausted their retries. Nothing consumes this queue; jobs
+// are kept for inspection and manual replay.
+export const webhookDeadLetterQueue = new Queue("webhook-dead-letter", {
+  connection,
+  defaultJobOptions: {
+    removeOnComplete: false,
+    removeOnFail: false,
   },
 });
@@ -3,6 +3,33 @@ import "dotenv/config";
 import { Link } from "../models/Link.js";
 import { analyzeUrlContent } from "../services/aiService.js";
 import { assignLinkToSystemCollection } from "../services/systemCollectionService.js";
+import { flushClickBuffer } from "../services/analyticsService.js";
+import { sweepExpiredLinks } from "../services/linkLifecycleService.js";
+import { processImportJob } from "../services/importService.js";
+import {
+  processExportJob,
+  purgeExpiredExports,
+} from "../services/exportService.js";
+import {
+  emitWebhookEvent,
+  linkWebhookData,
+  deliverWebhook,
+  moveToDeadLetter,
+} from "../services/webhookService.js";
+import {
+  isLinkFlaggedUnsafe,
+  isReputationFlagged,
+} from "../services/safetyService.js";
+import { screenUrl } from "../services/reputationService.js";
+import {
+  getNextCheckAt,
+  queueDueRechecks,
+  recheckLink,
+  recordSafetyHistory,
+} from "../services/linkHealthService.js";
+import redisClient from "../db/redis.js";
+import { BROWSER_POOL_SIZE } from "../services/browserPool.js";
+import { maintenanceQueue } from "./queue.js";
 // --- 1. IMPORT YOUR DATABASE CONNECTION FUNCTION ---
 import { connectDB } from "../db/index.js";
 
@@ -20,12 +47,18 @@ const startWorker = async () => {
     process.exit(1); // Exit if DB connection fails
   }
   const connection = process.env.REDIS_URL;
+  // Analyses running at once. More than the browser pool has pages only
+  // queues jobs behind the pool, so it follows BROWSER_POOL_SIZE by default.
+  const analysisConcurrency =
+    Number(process.env.ANALYSIS_CONCURRENCY) || BROWSER_POOL_SIZE;
 
   // --- 5. INITIALIZE THE WORKER ONLY AFTER DB IS CONNECTED ---
   const worker = new Worker(
     "link-analysis",
     async (job) => {
       const { linkId } = job.data;
+      // Scheduled health checks share this queue (and its concurrency)
+      if (job.name === "recheck-link") return recheckLink(linkId);
       console.log(`Processing job for linkId: ${linkId}`);
 
       try {
@@ -33,21 +66,67 @@ const startWorker = async () => {
         const link = await Link.findById(linkId);
         if (!link) throw new Error("Link not found");
 
-        const analysisResult = await analyzeUrlContent(link.longUrl);
+        // Run the rule-based check on the URL, then on where it really
+        // goes, before any page content is fetched. Flagged destinations
+        // are never fetched or sent to the AI.
+        const { reputation, chain, fetchable } = await screenUrl(link.longUrl);
+        link.reputation = reputation;
+        if (chain) {
+          link.redirectChain = { ...chain, resolvedAt: new Date() };
+        }
+        if (!fetchable) {
+          link.analysisStatus = "COMPLETED";
+          recordSafetyHistory(link, "ANALYSIS");
+          await link.save();
+          await redisClient.del(`link:${link.shortId}`);
+          if (isReputationFlagged(link)) {
+            await emitWebhookEvent(link.owner, "link.flagged_unsafe", {
+              ...linkWebhookData(link),
+              reputation: link.reputation,
+            });
+          }
+          return;
+        }
+
+        // Analyze the page visitors actually end up on
+        const analysisResult = await analyzeUrlContent(chain.finalUrl);
         console.log(analysisResult);
 
+        link.extractionMethod = analysisResult.extractionMethod;
+        if (analysisResult.metadata) {
+          link.metadata = { ...analysisResult.metadata, fetchedAt: new Date() };
+        }
         link.aiSummary = analysisResult.summary;
         link.aiTags = analysisResult.tags;
-        link.aiSafetyRating = analysisResult.safety.safety_rating;
-        link.aiSafetyJustification = analysisResult.safety.explanation;
+        link.aiSafetyRating = analysisResult.safety.rating;
+        link.aiSafetyJustification = analysisResult.safety.justification;
         link.aiClassification = {
           category: analysisResult.classification.category,
           confidence: analysisResult.classification.confidence,
           reason: analysisResult.classification.reason,
         };
         link.analysisStatus = "COMPLETED";
+        recordSafetyHistory(link, "ANALYSIS");
+        if (!link.health.nextCheckAt) {
+          link.health.nextCheckAt = await getNextCheckAt(link.owner);
+        }
 
         await link.save();
+        // Redirects read the cached link; drop it so the new verdicts apply
+        await redisClient.del(`link:${link.shortId}`);
+
+        await emitWebhookEvent(
+          link.owner,
+          "link.analysis.completed",
+          linkWebhookData(link)
+        );
+        if (isLinkFlaggedUnsafe(link)) {
+          await emitWebhookEvent(link.owner, "link.flagged_unsafe", {
+            ...linkWebhookData(link),
+            aiSafetyJustification: link.aiSafetyJustification,
+            reputation: link.reputation,
+          });
+        }
 
         // Automatically assign link to appropriate system collection
         try {
@@ -66,10 +145,20 @@ const startWorker = async () => {
         }
       } catch (error) {
         console.error(`Job failed for linkId: ${linkId}`, error);
-        await Link.findByIdAndUpdate(linkId, { analysisStatus: "FAILED" });
+        const failedLink = await Link.findByIdAndUpdate(
+          linkId,
+          { analysisStatus: "FAILED" },
+          { new: true }
+        );
+        if (failedLink) {
+          await emitWebhookEvent(failedLink.owner, "link.analysis.failed", {
+            ...linkWebhookData(failedLink),
+            error: error.message,
+          });
+        }
       }
     },
-    { connection }
+    { connection, concurrency: analysisConcurrency }
   );
 
   worker.on("completed", (job) => {
@@ -80,7 +169,85 @@ const startWorker = async () => {
     console.log(`Job ${job.id} has failed with ${err.message}`);
   });
 
-  console.log("AI Worker started and listening for jobs...");
+  // --- 7. BULK IMPORT WORKER ---
+  const importWorker = new Worker(
+    "link-import",
+    async (job) => processImportJob(job.data.importId, job),
+    { connection }
+  );
+
+  importWorker.on("failed", (job, err) => {
+    console.log(`Import job ${job?.id} has failed with ${err.message}`);
+  });
+
+  // --- 8. ACCOUNT EXPORT WORKER ---
+  const exportWorker = new Worker(
+    "account-export",
+    async (job) => processExportJob(job.data.exportId),
+    { connection }
+  );
+
+  exportWorker.on("failed", (job, err) => {
+    console.log(`Export job ${job?.id} has failed with ${err.message}`);
+  });
+
+  // --- 9. HOUSEKEEPING WORKER FOR REPEATABLE MAINTENANCE JOBS ---
+  const maintenanceHandlers = {
+    "flush-click-events": () => flushClickBuffer(),
+    "sweep-expired-links": () => sweepExpiredLinks(),
+    "purge-expired-exports": () => purgeExpiredExports(),
+    "queue-link-rechecks": () => queueDueRechecks(),
+  };
+
+  const maintenanceWorker = new Worker(
+    "link-maintenance",
+    async (job) => {
+      const handler = maintenanceHandlers[job.name];
+      if (!handler) throw new Error(`Unknown maintenance job: ${job.name}`);
+      return handler(job);
+    },
+    { connection }
+  );
+
+  maintenanceWorker.on("failed", (job, err) => {
+    console.log(`Maintenance job ${job?.name} has failed with ${err.message}`);
+  });
+
+  // --- 10. WEBHOOK DELIVERY WORKER ---
+  const webhookWorker = new Worker(
+    "webhook-delivery",
+    async (job) => deliverWebhook(job.data.deliveryId),
+    { connection, concurrency: 5 }
+  );
+
+  webhookWorker.on("failed", async (job, err) => {
+    console.log(`Webhook delivery ${job?.id} failed with ${err.message}`);
+    // Out of retries: park it on the dead-letter queue
+    if (job && job.attemptsMade >= (job.opts.attempts || 1)) {
+      try {
+        await moveToDeadLetter(job, err);
+      } catch (error) {
+        console.error("Failed to dead-letter webhook delivery:", error);
+      }
+    }
+  });
+
+  await maintenanceQueue.upsertJobScheduler("flush-click-events", {
+    every: Number(process.env.CLICK_FLUSH_INTERVAL_MS) || 10000,
+  });
+  await maintenanceQueue.upsertJobScheduler("sweep-expired-links", {
+    every: Number(process.env.EXPIRY_SWEEP_INTERVAL_MS) || 5 * 60 * 1000,
+  });
+  await maintenanceQueue.upsertJobScheduler("purge-expired-exports", {
+    every: 60 * 60 * 1000, // hourly
+  });
+  await maintenanceQueue.upsertJobScheduler("queue-link-rechecks", {
+    every: Number(process.env.LINK_RECHECK_SWEEP_INTERVAL_MS) || 15 * 60 * 1000,
+  });
+
+  console.log(
+    `AI Worker started and listening for jobs (analysis concurrency ${analysisConcurrency})...`
+  );
 };
 
 // --- 6. RUN THE START FUNCTION ---
@@ -1,11 +1,45 @@
-import jwt from "jsonwebtoken";
 import { User } from "../models/User.js";
+import { verifyAccessToken } from "../services/tokenService.js";
+import {
+  extractApiKey,
+  resolveApiKey,
+  requiredScopeFor,
+  hasScope,
+} from "../services/apiKeyService.js";
+
+// Personal API keys work on /loggedin/:user_id routes only, within their scopes
+const authenticateApiKey = async (req, res, next, rawKey) => {
+  const apiKey = await resolveApiKey(rawKey);
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  const match = req.originalUrl.split('?')[0].match(/^\/loggedin\/[^/]+(\/.*)?$/);
+  const scope = match ? requiredScopeFor(req.method, match[1] || '/') : null;
+  if (!scope) {
+    return res.status(403).json({ error: 'API keys cannot be used for this route' });
+  }
+  if (!hasScope(apiKey, scope)) {
+    return res.status(403).json({ error: `API key is missing the ${scope} scope` });
+  }
+
+  req.apiKey = apiKey;
+  req.userData = { userId: apiKey.owner.toString(), apiKeyId: apiKey._id };
+  next();
+};
 
 export const checkForUserAuthentication = async (req, res, next) => {
   try {
+    // Already authenticated by an API key earlier in the chain
+    if (req.apiKey) return next();
+
+    const apiKey = extractApiKey(req);
+    if (apiKey) return await authenticateApiKey(req, res, next, apiKey);
+
     const bearerHeader = req.headers.authorization || req.query.authorization;
     const token = bearerHeader.split(' ')[1];
-    const decodedToken = jwt.verify(token, process.env.JWT_KEY);
+    // Rejects expired tokens and sessions that have been logged out
+    const decodedToken = await verifyAccessToken(token);
     req.userData = decodedToken;
     next();
   }
@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+import { User } from "../models/User.js";
+import { ApiError } from "../utilities/ApiError.js";
+import { recordAdminOverride } from "../services/moderationService.js";
+
+const forbidden = (res, message) =>
+  res.status(403).json(new ApiError(403, message));
+
+// Binds `/loggedin/:user_id/...` to the token subject. Must run after
+// checkForUserAuthentication. Admins may act on any user's routes; every
+// other mismatch is rejected with 403.
+export const authorizeRouteUser = async (req, res, next) => {
+  try {
+    const routeUserId = req.params.user_id;
+    const tokenUserId = req.userData?.userId;
+
+    if (!tokenUserId) {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(routeUserId)) {
+      return forbidden(res, "You do not have access to this resource.");
+    }
+
+    if (routeUserId === tokenUserId.toString()) {
+      return next();
+    }
+
+    // API keys only ever act for their owner
+    if (req.apiKey) {
+      return forbidden(res, "You do not have access to this resource.");
+    }
+
+    // Explicit admin override, checked against the database so a stale
+    // token can't keep admin rights after they are revoked or the account
+    // is disabled
+    const actor = await User.findById(tokenUserId)
+      .select("role disabledAt")
+      .lean();
+    if (actor?.role === "admin" && !actor.disabledAt) {
+      req.adminOverride = true;
+      await recordAdminOverride(tokenUserId, routeUserId, req);
+      return next();
+    }
+
+    return forbidden(res, "You do not have access to this resource.");
+  } catch (error) {
+    console.error("Authorization check failed:", error);
+    return forbidden(res, "You do not have access to this resource.");
+  }
+};
+
+// Admin-only routes. Must run after checkForUserAuthentication; the role is
+// read from the database, and API keys never carry admin rights.
+export const requireAdmin = async (req, res, next) => {
+  try {
+    const tokenUserId = req.userData?.userId;
+    if (!tokenUserId) {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+    if (req.apiKey) {
+      return forbidden(res, "Admin access is not available to API keys.");
+    }
+
+    const actor = await User.findById(tokenUserId)
+      .select("role disabledAt")
+      .lean();
+    if (actor?.role !== "admin" || actor.disabledAt) {
+      return forbidden(res, "Admin access required.");
+    }
+    return next();
+  } catch (error) {
+    console.error("Admin check failed:", error);
+    return forbidden(res, "Admin access required.");
+  }
+};
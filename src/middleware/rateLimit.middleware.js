@@ -0,0 +1,94 @@
+import rateLimit, { ipKeyGenerator } from "express-rate-limit";
+
+// Password attempts against a protected short link, keyed on IP and shortId
+// so one client's guesses don't lock other visitors out. Successful unlocks
+// don't count. Pair with linkUnlockBackstopLimiter.
+export const linkUnlockLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 failed unlock attempts per link per windowMs
+  keyGenerator: (req) =>
+    `unlock:${ipKeyGenerator(req.ip)}:${req.params.web_id}`,
+  skipSuccessfulRequests: true,
+  message: "Too many password attempts for this link, please try again later",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// The same attempts keyed on the shortId alone: a ceiling for a brute-force
+// spread over many IPs
+export const linkUnlockBackstopLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each short link to 100 failed unlock attempts per windowMs
+  keyGenerator: (req) => `unlock:${req.params.web_id}`,
+  skipSuccessfulRequests: true,
+  message: "Too many password attempts for this link, please try again later",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Password and code checks for turning 2FA off or replacing backup codes,
+// keyed on the signed-in user so a stolen access token can't brute-force the
+// 6-digit code. Successful requests don't count.
+export const twoFactorChangeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each user to 5 failed attempts per windowMs
+  keyGenerator: (req) => `two-factor-change:${req.userData.userId}`,
+  skipSuccessfulRequests: true,
+  message: "Too many verification attempts, please try again later",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const normalizeEmail = (req) =>
+  String(req.body?.email || "")
+    .trim()
+    .toLowerCase();
+
+// Emails triggered by unauthenticated requests (verification resends,
+// password resets), keyed on IP and address so one client can't run through
+// its budget for every address at once. Pair with accountEmailAddressLimiter.
+export const accountEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each IP/email pair to 5 emails per windowMs
+  keyGenerator: (req) =>
+    `account-email:${ipKeyGenerator(req.ip)}:${normalizeEmail(req)}`,
+  message: "Too many email requests, please try again later",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// The same emails keyed on the address alone, so rotating IPs can't flood
+// one inbox
+export const accountEmailAddressLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Limit each email address to 10 emails per windowMs
+  keyGenerator: (req) => `account-email-address:${normalizeEmail(req)}`,
+  // Requests without an address are rejected by the handler anyway
+  skip: (req) => !normalizeEmail(req),
+  message: "Too many email requests, please try again later",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Visitor abuse reports, keyed on IP across all links so one client can't
+// mass-report. Each visitor can report a given link only once anyway.
+export const linkReportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Limit each IP to 10 reports per windowMs
+  keyGenerator: (req) => `link-report:${ipKeyGenerator(req.ip)}`,
+  message: "Too many reports, please try again later",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Per-key budget for API key requests, set on each key (requests per minute).
+// Browser sessions are unaffected.
+export const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => `api-key:${req.apiKey._id}`,
+  skip: (req) => !req.apiKey,
+  message: "API key rate limit exceeded, please slow down",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
@@ -0,0 +1,16 @@
+import multer from "multer";
+
+// Import files are parsed straight from memory, so keep them small
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }, // 5 MB
+}).single("file");
+
+export const uploadImportFile = (req, res, next) => {
+  importUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    next();
+  });
+};
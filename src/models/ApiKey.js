@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// "read" keys can only call GET routes (and POST /links/filter); write scopes
+// include read access
+export const API_KEY_SCOPES = ["read", "links:write", "collections:write"];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    // First characters of the key, shown so users can tell keys apart
+    prefix: { type: String, required: true },
+    // sha256 of the full key; the key itself is only shown once at creation
+    keyHash: { type: String, required: true, unique: true, select: false },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    // Requests per minute for this key
+    rateLimit: { type: Number, default: 60, min: 1, max: 600 },
+    lastUsedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+export const ApiKey = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// One document per redirect, stored in a MongoDB time-series collection
+const clickEventSchema = new mongoose.Schema(
+  {
+    timestamp: { type: Date, required: true },
+    link: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Link",
+      required: true,
+    },
+    referrer: { type: String, default: null },
+    referrerHost: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    ipHash: { type: String, default: null },
+    browser: { type: String, default: "Unknown" },
+    os: { type: String, default: "Unknown" },
+    device: { type: String, default: "desktop" },
+  },
+  {
+    timeseries: {
+      timeField: "timestamp",
+      metaField: "link",
+      granularity: "minutes",
+    },
+    versionKey: false,
+  }
+);
+
+export const ClickEvent = mongoose.model("ClickEvent", clickEventSchema);
@@ -51,6 +51,21 @@ const collectionSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Owner-chosen URL segment for /public/collections/:slug
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      sparse: true, // Most collections never get a slug
+      validate: {
+        validator: function (v) {
+          return /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(v) && v.length <= 60;
+        },
+        message:
+          "Slug may only contain lowercase letters, numbers and single hyphens",
+      },
+    },
     isSystem: {
       type: Boolean,
       default: false,
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+export const COLLECTION_ROLES = ["viewer", "editor"];
+
+// A Linkly user's access to someone else's collection. Invitations are
+// addressed to an email; `user` is filled in when a matching account exists
+// or once someone with that (verified) address accepts.
+const collectionMemberSchema = new mongoose.Schema(
+  {
+    collectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Collection",
+      required: true,
+    },
+    email: { type: String, lowercase: true, trim: true },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    role: {
+      type: String,
+      enum: COLLECTION_ROLES,
+      default: "viewer",
+    },
+    status: {
+      type: String,
+      enum: ["PENDING", "ACCEPTED"],
+      default: "PENDING",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    acceptedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// One membership per user, and one invitation per email, per collection
+collectionMemberSchema.index(
+  { collectionId: 1, user: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: "objectId" } } }
+);
+collectionMemberSchema.index(
+  { collectionId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { email: { $type: "string" } } }
+);
+collectionMemberSchema.index({ email: 1, status: 1 });
+
+export const CollectionMember = mongoose.model(
+  "CollectionMember",
+  collectionMemberSchema
+);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+export const EXPORT_FORMATS = ["json", "csv", "html"];
+
+const exportFileSchema = new mongoose.Schema(
+  {
+    format: { type: String, enum: EXPORT_FORMATS, required: true },
+    fileName: { type: String, required: true },
+    path: { type: String, required: true },
+    size: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const exportJobSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    formats: {
+      type: [{ type: String, enum: EXPORT_FORMATS }],
+      default: EXPORT_FORMATS,
+    },
+    status: {
+      type: String,
+      enum: ["QUEUED", "PROCESSING", "COMPLETED", "FAILED", "EXPIRED"],
+      default: "QUEUED",
+    },
+    files: { type: [exportFileSchema], default: [] },
+    linkCount: { type: Number, default: 0 },
+    collectionCount: { type: Number, default: 0 },
+    error: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+    // Generated files are removed by the maintenance worker after this date
+    expiresAt: { type: Date, default: null, index: true },
+  },
+  { timestamps: true }
+);
+
+export const ExportJob = mongoose.model("ExportJob", exportJobSchema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+const importRowResultSchema = new mongoose.Schema(
+  {
+    row: { type: Number, required: true }, // 1-based position in the file
+    longUrl: { type: String, default: null },
+    status: {
+      type: String,
+      enum: ["CREATED", "FAILED"],
+      required: true,
+    },
+    shortId: { type: String, default: null },
+    link: { type: mongoose.Schema.Types.ObjectId, ref: "Link", default: null },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const importJobSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    format: { type: String, enum: ["csv", "json"], required: true },
+    fileName: { type: String, default: null },
+    status: {
+      type: String,
+      enum: ["QUEUED", "PROCESSING", "COMPLETED", "FAILED"],
+      default: "QUEUED",
+    },
+    // Parsed rows waiting to be processed by the import worker
+    rows: { type: [mongoose.Schema.Types.Mixed], default: [], select: false },
+    totalRows: { type: Number, default: 0 },
+    processedRows: { type: Number, default: 0 },
+    createdCount: { type: Number, default: 0 },
+    failedCount: { type: Number, default: 0 },
+    results: { type: [importRowResultSchema], default: [] },
+    error: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+export const ImportJob = mongoose.model("ImportJob", importJobSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { REPORT_REASONS } from "./LinkReport.js";
 
 const linkSchema = new mongoose.Schema(
   {
@@ -10,6 +11,7 @@ const linkSchema = new mongoose.Schema(
       required: true,
     },
     viewerCount: { type: Number, default: 0 },
+    tags: { type: [String], default: [] }, // User-defined tags
     // --- New AI Fields ---
     aiSummary: { type: String, default: null },
     aiTags: { type: [String], default: [] },
@@ -20,6 +22,125 @@ const linkSchema = new mongoose.Schema(
       confidence: { type: Number, default: 0 },
       reason: { type: String, default: "Analysis has not been completed." },
     },
+    // --- Admin review of flagged links (see moderationService) ---
+    moderation: {
+      // BLOCKED: hard block page on redirect. FALSE_POSITIVE: warnings off.
+      status: {
+        type: String,
+        enum: ["BLOCKED", "FALSE_POSITIVE", null],
+        default: null,
+        index: true,
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      reviewedAt: { type: Date, default: null },
+      note: { type: String, default: null },
+    },
+    // --- Visitor abuse reports (individual entries in LinkReport) ---
+    reports: {
+      total: { type: Number, default: 0 },
+      // Reports since the last moderation decision
+      pending: { type: Number, default: 0 },
+      byReason: Object.fromEntries(
+        REPORT_REASONS.map((reason) => [reason, { type: Number, default: 0 }])
+      ),
+      lastReportedAt: { type: Date, default: null },
+      // Set once pending reports reach the threshold: the link is in the
+      // moderation queue until an admin decides on it
+      queuedAt: { type: Date, default: null, index: true },
+    },
+    // --- Where longUrl really leads (resolved by the worker) ---
+    redirectChain: {
+      hops: [
+        {
+          _id: false,
+          url: { type: String },
+          statusCode: { type: Number, default: null },
+          // How this hop points onward: "HTTP" (3xx), "META_REFRESH" or null
+          type: { type: String, default: null },
+        },
+      ],
+      finalUrl: { type: String, default: null },
+      domainChanged: { type: Boolean, default: false },
+      truncated: { type: Boolean, default: false }, // loop or too many hops
+      stopped: { type: Boolean, default: false }, // last hop refused, never fetched
+      resolvedAt: { type: Date, default: null },
+    },
+    // --- Health monitoring (periodic re-checks, see linkHealthService) ---
+    health: {
+      statusCode: { type: Number, default: null }, // of the final hop
+      reachable: { type: Boolean, default: null },
+      consecutiveFailures: { type: Number, default: 0 },
+      contentHash: { type: String, default: null }, // sha256 of the page text
+      simHash: { type: String, default: null }, // for "how much changed"
+      lastCheckedAt: { type: Date, default: null },
+      lastChangedAt: { type: Date, default: null },
+      nextCheckAt: { type: Date, default: null, index: true },
+      changes: [
+        {
+          _id: false,
+          type: { type: String, enum: ["STATUS", "CONTENT"] },
+          from: { type: mongoose.Schema.Types.Mixed },
+          to: { type: mongoose.Schema.Types.Mixed },
+          distance: { type: Number }, // SimHash bits, content changes only
+          material: { type: Boolean },
+          at: { type: Date },
+        },
+      ],
+    },
+    // Past safety verdicts, newest last (capped)
+    safetyHistory: [
+      {
+        _id: false,
+        aiSafetyRating: { type: Number, default: null },
+        aiSafetyJustification: { type: String, default: null },
+        category: { type: String, default: null },
+        reputationVerdict: { type: String, default: null },
+        source: { type: String, enum: ["ANALYSIS", "RECHECK"] },
+        recordedAt: { type: Date },
+      },
+    ],
+    // --- Rule-based reputation (kept apart from the AI verdict) ---
+    reputation: {
+      verdict: {
+        type: String,
+        enum: ["ALLOWED", "CLEAN", "SUSPICIOUS", "BLOCKED", null],
+        default: null,
+      },
+      score: { type: Number, default: null }, // 0-100, higher is worse
+      reasons: [
+        {
+          _id: false,
+          rule: { type: String },
+          detail: { type: String },
+        },
+      ],
+      redirectCount: { type: Number, default: null },
+      checkedAt: { type: Date, default: null },
+    },
+    // How the page text was obtained for analysis: plain fetch or headless render
+    extractionMethod: {
+      type: String,
+      enum: ["STATIC", "HEADLESS", "NONE"],
+      default: null,
+    },
+    // --- Page Metadata (scraped during analysis) ---
+    metadata: {
+      title: { type: String, default: null },
+      description: { type: String, default: null },
+      image: { type: String, default: null }, // OpenGraph / Twitter card image
+      favicon: { type: String, default: null },
+      siteName: { type: String, default: null },
+      language: { type: String, default: null },
+      canonicalUrl: { type: String, default: null },
+      fetchedAt: { type: Date, default: null },
+    },
+    // Set by the user; shown instead of the scraped title/description
+    customTitle: { type: String, default: null, maxlength: 300 },
+    customDescription: { type: String, default: null, maxlength: 1000 },
     analysisStatus: {
       type: String,
       enum: ["PENDING", "COMPLETED", "FAILED"],
@@ -27,8 +148,29 @@ const linkSchema = new mongoose.Schema(
     },
     // ... inside linkSchema
     collections: [{ type: mongoose.Schema.Types.ObjectId, ref: "Collection" }],
+    // --- Lifecycle Fields ---
+    expiresAt: { type: Date, default: null, index: true },
+    maxClicks: { type: Number, default: null, min: 1 },
+    fallbackUrl: { type: String, default: null }, // Where expired visitors go
+    isActive: { type: Boolean, default: true },
+    expiredReason: {
+      type: String,
+      enum: ["DATE", "CLICKS", null],
+      default: null,
+    },
+    // --- Access Control ---
+    password: { type: String, default: null, select: false }, // bcrypt hash
+    passwordProtected: { type: Boolean, default: false },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.password;
+        return ret;
+      },
+    },
+  }
 );
 
 export const Link = mongoose.model("Link", linkSchema);
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+export const REPORT_REASONS = [
+  "PHISHING",
+  "MALWARE",
+  "SCAM",
+  "SPAM",
+  "INAPPROPRIATE",
+  "OTHER",
+];
+
+// Abuse report filed by a visitor against a short link. Counts per link are
+// aggregated on Link.reports; these are the individual entries.
+const linkReportSchema = new mongoose.Schema(
+  {
+    link: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Link",
+      required: true,
+      index: true,
+    },
+    reason: { type: String, enum: REPORT_REASONS, required: true },
+    details: { type: String, trim: true, maxlength: 1000, default: "" },
+    // Salted hash of the reporter's IP: one report per visitor per link
+    reporterHash: { type: String, required: true, select: false },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+linkReportSchema.index({ link: 1, reporterHash: 1 }, { unique: true });
+
+export const LinkReport = mongoose.model("LinkReport", linkReportSchema);
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+export const MODERATION_ACTIONS = [
+  "BLOCK",
+  "FALSE_POSITIVE",
+  "DISABLE_OWNER",
+  // An admin changing data on another user's /loggedin routes
+  "ADMIN_OVERRIDE",
+];
+
+// Append-only record of every admin moderation action
+const moderationAuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: { type: String, enum: MODERATION_ACTIONS, required: true },
+    link: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Link",
+      default: null,
+      index: true,
+    },
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    note: { type: String, trim: true, maxlength: 1000, default: "" },
+    // Snapshot of what the admin saw: verdicts, URL, previous state
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+moderationAuditLogSchema.index({ createdAt: -1 });
+
+export const ModerationAuditLog = mongoose.model(
+  "ModerationAuditLog",
+  moderationAuditLogSchema
+);
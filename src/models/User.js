@@ -17,6 +17,61 @@ const userSchema = mongoose.Schema({
     required: true,
     default: "Abc@1234",
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
+  // Google account `sub`, set once the user signs in with (or links) Google
+  googleId: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  // TOTP second factor; secrets are encrypted and never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    backupCodes: {
+      type: [String],
+      select: false,
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    enabledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  role: {
+    type: String,
+    enum: ["user", "admin"],
+    default: "user",
+  },
+  // Set by moderation; disabled accounts can't log in or refresh tokens
+  disabledAt: {
+    type: Date,
+    default: null,
+  },
+  disabledReason: {
+    type: String,
+    default: null,
+  },
   subscription: {
     type: String,
     enum: ["Free", "Premium"],
@@ -36,4 +91,18 @@ const userSchema = mongoose.Schema({
   },
 });
 
+// Never send the 2FA secrets, even when a document loaded with them is
+// serialized
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    if (ret.twoFactor) {
+      delete ret.twoFactor.secret;
+      delete ret.twoFactor.pendingSecret;
+      delete ret.twoFactor.backupCodes;
+      delete ret.twoFactor.lastUsedStep;
+    }
+    return ret;
+  },
+});
+
 export const User = mongoose.model("User", userSchema);
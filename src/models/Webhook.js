@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+export const WEBHOOK_EVENTS = [
+  "link.created",
+  "link.analysis.completed",
+  "link.analysis.failed",
+  "link.flagged_unsafe",
+  "link.click_threshold",
+];
+
+const webhookSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    url: { type: String, required: true, trim: true },
+    description: { type: String, trim: true, maxlength: 200, default: "" },
+    // Only these events are delivered to the endpoint
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "At least one event is required",
+      },
+    },
+    // HMAC key for the X-Linkly-Signature header; shown once on creation
+    secret: { type: String, required: true, select: false },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+export const Webhook = mongoose.model("Webhook", webhookSchema);
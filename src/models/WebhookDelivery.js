@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// How long delivery logs are kept
+const DELIVERY_LOG_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true },
+    statusCode: { type: Number, default: null },
+    durationMs: { type: Number, default: null },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+      index: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    event: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: {
+      type: String,
+      // DEAD: retries exhausted, parked on the dead-letter queue
+      enum: ["PENDING", "SUCCEEDED", "FAILED", "DEAD"],
+      default: "PENDING",
+    },
+    attempts: { type: [deliveryAttemptSchema], default: [] },
+    deliveredAt: { type: Date, default: null },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: DELIVERY_LOG_TTL_SECONDS,
+    },
+  },
+  { timestamps: { createdAt: false, updatedAt: true } }
+);
+
+export const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
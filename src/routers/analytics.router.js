@@ -0,0 +1,12 @@
+import { Router } from "express";
+import { getLinkAnalytics } from "../controllers/analytics.controller.js";
+import { checkForUserAuthentication } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// Route for per-link click analytics
+router
+  .route("/loggedin/:user_id/url/:linkId/analytics")
+  .get(checkForUserAuthentication, getLinkAnalytics);
+
+export default router;
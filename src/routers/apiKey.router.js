@@ -0,0 +1,21 @@
+import { Router } from "express";
+import { checkForUserAuthentication } from "../middleware/auth.middleware.js";
+import {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+} from "../controllers/apiKey.controller.js";
+
+const router = Router();
+
+// Key management needs a signed-in session; API keys can't manage keys
+router
+  .route("/api-keys")
+  .get(checkForUserAuthentication, getApiKeys)
+  .post(checkForUserAuthentication, createApiKey);
+
+router
+  .route("/api-keys/:keyId")
+  .delete(checkForUserAuthentication, revokeApiKey);
+
+export default router;
@@ -1,19 +1,39 @@
 import { Router } from "express";
 import {
   loginUser,
+  verifyTwoFactorLogin,
   logoutUser,
+  logoutAllDevices,
+  refreshAccessToken,
   registerUser,
   authenticateUser,
-  googleAuthHandler
+  googleAuthHandler,
+  linkGoogleAccount,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword
 } from "../controllers/authentication.controller.js";
 
 import { checkForUserAuthentication } from "../middleware/auth.middleware.js";
+import {
+  accountEmailLimiter,
+  accountEmailAddressLimiter,
+} from "../middleware/rateLimit.middleware.js";
 
 const router = Router();
 router.route("/register").post(registerUser);
 router.route("/login").post(loginUser);
+router.route("/login/2fa").post(verifyTwoFactorLogin);
 router.route("/google-auth").post(googleAuthHandler);
+router.route("/google-auth/link").post(linkGoogleAccount);
 router.route("/authenticate").get(authenticateUser);
+router.route("/verify-email").post(verifyEmail);
+router.route("/verify-email/resend").post(accountEmailLimiter, accountEmailAddressLimiter, resendVerificationEmail);
+router.route("/forgot-password").post(accountEmailLimiter, accountEmailAddressLimiter, forgotPassword);
+router.route("/reset-password").post(resetPassword);
+router.route("/token/refresh").post(refreshAccessToken);
 router.route("/logout").post(checkForUserAuthentication, logoutUser);
+router.route("/logout-all").post(checkForUserAuthentication, logoutAllDevices);
 
 export default router;
@@ -4,10 +4,12 @@ import {
   getCollections,
   getCollection,
   updateCollection,
+  updateCollectionVisibility,
   deleteCollection,
   addLinksToCollection,
   removeLinksFromCollection,
   getCollectionStats,
+  getCollectionTree,
   getDashboardData,
   bulkAddLinksToCollection,
   bulkMoveLinks,
@@ -15,6 +17,16 @@ import {
   filterLinks,
   getUserTags,
 } from "../controllers/collection.controller.js";
+import {
+  inviteCollectionMember,
+  getCollectionMembers,
+  updateCollectionMember,
+  removeCollectionMember,
+  getCollectionInvites,
+  acceptCollectionInvite,
+  declineCollectionInvite,
+  getSharedCollections,
+} from "../controllers/collectionMember.controller.js";
 import { checkForUserAuthentication } from "../middleware/auth.middleware.js";
 
 const router = Router();
@@ -35,6 +47,16 @@ router
   .route("/loggedin/:user_id/collections/stats")
   .get(checkForUserAuthentication, getCollectionStats);
 
+// Route for the nested collection hierarchy with aggregated counts
+router
+  .route("/loggedin/:user_id/collections/tree")
+  .get(checkForUserAuthentication, getCollectionTree);
+
+// Route for collections other users have shared with this user
+router
+  .route("/loggedin/:user_id/collections/shared")
+  .get(checkForUserAuthentication, getSharedCollections);
+
 // Route for getting, updating, and deleting a specific collection
 router
   .route("/loggedin/:user_id/collections/:collectionId")
@@ -42,6 +64,35 @@ router
   .patch(checkForUserAuthentication, updateCollection)
   .delete(checkForUserAuthentication, deleteCollectionEnhanced);
 
+// Route for publishing a collection and choosing its public slug
+router
+  .route("/loggedin/:user_id/collections/:collectionId/visibility")
+  .patch(checkForUserAuthentication, updateCollectionVisibility);
+
+// Routes for sharing a collection with collaborators
+router
+  .route("/loggedin/:user_id/collections/:collectionId/members")
+  .get(checkForUserAuthentication, getCollectionMembers)
+  .post(checkForUserAuthentication, inviteCollectionMember);
+
+router
+  .route("/loggedin/:user_id/collections/:collectionId/members/:memberId")
+  .patch(checkForUserAuthentication, updateCollectionMember)
+  .delete(checkForUserAuthentication, removeCollectionMember);
+
+// Routes for the invitations a user has received
+router
+  .route("/loggedin/:user_id/collection-invites")
+  .get(checkForUserAuthentication, getCollectionInvites);
+
+router
+  .route("/loggedin/:user_id/collection-invites/:inviteId")
+  .delete(checkForUserAuthentication, declineCollectionInvite);
+
+router
+  .route("/loggedin/:user_id/collection-invites/:inviteId/accept")
+  .post(checkForUserAuthentication, acceptCollectionInvite);
+
 // Route for managing links in a collection
 router
   .route("/loggedin/:user_id/collections/:collectionId/links")
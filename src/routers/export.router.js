@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+  createExport,
+  getExports,
+  getExport,
+  downloadExport,
+} from "../controllers/export.controller.js";
+import { checkForUserAuthentication } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// Routes for listing exports and starting a new one
+router
+  .route("/loggedin/:user_id/exports")
+  .get(checkForUserAuthentication, getExports)
+  .post(checkForUserAuthentication, createExport);
+
+// Route for checking an export's status
+router
+  .route("/loggedin/:user_id/exports/:exportId")
+  .get(checkForUserAuthentication, getExport);
+
+// Route for downloading a finished export (?format=json|csv|html)
+router
+  .route("/loggedin/:user_id/exports/:exportId/download")
+  .get(checkForUserAuthentication, downloadExport);
+
+export default router;
@@ -0,0 +1,21 @@
+import { Router } from "express";
+import {
+  importLinks,
+  getImportStatus,
+} from "../controllers/import.controller.js";
+import { checkForUserAuthentication } from "../middleware/auth.middleware.js";
+import { uploadImportFile } from "../middleware/upload.middleware.js";
+
+const router = Router();
+
+// Route for starting a bulk import (multipart upload, field "file")
+router
+  .route("/loggedin/:user_id/links/import")
+  .post(checkForUserAuthentication, uploadImportFile, importLinks);
+
+// Route for polling an import's progress and per-row results
+router
+  .route("/loggedin/:user_id/links/import/:importId")
+  .get(checkForUserAuthentication, getImportStatus);
+
+export default router;
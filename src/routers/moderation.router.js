@@ -0,0 +1,29 @@
+import { Router } from "express";
+import { checkForUserAuthentication } from "../middleware/auth.middleware.js";
+import { requireAdmin } from "../middleware/authorization.middleware.js";
+import {
+  getFlaggedLinks,
+  getModerationLink,
+  blockFlaggedLink,
+  markLinkFalsePositive,
+  disableFlaggedLinkOwner,
+  getModerationAuditLog,
+} from "../controllers/moderation.controller.js";
+
+const router = Router();
+
+// Admin-only review queue for links flagged as unsafe
+router.use("/admin", checkForUserAuthentication, requireAdmin);
+
+router.route("/admin/moderation/links").get(getFlaggedLinks);
+router.route("/admin/moderation/links/:linkId").get(getModerationLink);
+router.route("/admin/moderation/links/:linkId/block").post(blockFlaggedLink);
+router
+  .route("/admin/moderation/links/:linkId/false-positive")
+  .post(markLinkFalsePositive);
+router
+  .route("/admin/moderation/links/:linkId/disable-owner")
+  .post(disableFlaggedLinkOwner);
+router.route("/admin/moderation/audit-log").get(getModerationAuditLog);
+
+export default router;
@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { getPublicCollectionBySlug } from "../controllers/public.controller.js";
+
+const router = Router();
+
+// Unauthenticated, read-only collection pages
+router.route("/public/collections/:slug").get(getPublicCollectionBySlug);
+
+export default router;
@@ -6,9 +6,14 @@ import {
   deleteUrl,
   editLongUrl,
   updateLinkCollections,
+  unlockLink,
 } from "../controllers/redirect.controller.js";
 
 import { checkForUserAuthentication } from "../middleware/auth.middleware.js";
+import {
+  linkUnlockLimiter,
+  linkUnlockBackstopLimiter,
+} from "../middleware/rateLimit.middleware.js";
 
 const router = Router();
 router
@@ -18,6 +23,9 @@ router
   .route("/loggedin/:user_id/urls")
   .get(checkForUserAuthentication, geturls);
 router.route("/linkly/:web_id").get(handleRedirect);
+router
+  .route("/linkly/:web_id/unlock")
+  .post(linkUnlockLimiter, linkUnlockBackstopLimiter, unlockLink);
 router
   .route("/loggedin/:user_id/url/:linkId")
   .patch(checkForUserAuthentication, editLongUrl) // Edits a link
@@ -0,0 +1,19 @@
+import { Router } from "express";
+import {
+  reportLink,
+  getLinkReports,
+} from "../controllers/report.controller.js";
+import { checkForUserAuthentication } from "../middleware/auth.middleware.js";
+import { linkReportLimiter } from "../middleware/rateLimit.middleware.js";
+
+const router = Router();
+
+// Public: visitors report a malicious short link
+router.route("/linkly/:web_id/report").post(linkReportLimiter, reportLink);
+
+// Owners see the reports filed against their links
+router
+  .route("/loggedin/:user_id/url/:linkId/reports")
+  .get(checkForUserAuthentication, getLinkReports);
+
+export default router;
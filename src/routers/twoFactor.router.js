@@ -0,0 +1,28 @@
+import { Router } from "express";
+import { checkForUserAuthentication } from "../middleware/auth.middleware.js";
+import { twoFactorChangeLimiter } from "../middleware/rateLimit.middleware.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} from "../controllers/twoFactor.controller.js";
+
+const router = Router();
+
+router.route("/2fa").get(checkForUserAuthentication, getTwoFactorStatus);
+router.route("/2fa/setup").post(checkForUserAuthentication, setupTwoFactor);
+router.route("/2fa/enable").post(checkForUserAuthentication, enableTwoFactor);
+router
+  .route("/2fa/disable")
+  .post(checkForUserAuthentication, twoFactorChangeLimiter, disableTwoFactor);
+router
+  .route("/2fa/backup-codes")
+  .post(
+    checkForUserAuthentication,
+    twoFactorChangeLimiter,
+    regenerateBackupCodes
+  );
+
+export default router;
@@ -0,0 +1,28 @@
+import { Router } from "express";
+import { checkForUserAuthentication } from "../middleware/auth.middleware.js";
+import {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+} from "../controllers/webhook.controller.js";
+
+const router = Router();
+
+router
+  .route("/loggedin/:user_id/webhooks")
+  .get(checkForUserAuthentication, getWebhooks)
+  .post(checkForUserAuthentication, createWebhook);
+
+router
+  .route("/loggedin/:user_id/webhooks/:webhookId")
+  .patch(checkForUserAuthentication, updateWebhook)
+  .delete(checkForUserAuthentication, deleteWebhook);
+
+// Delivery log: recent attempts with status codes and errors
+router
+  .route("/loggedin/:user_id/webhooks/:webhookId/deliveries")
+  .get(checkForUserAuthentication, getWebhookDeliveries);
+
+export default router;
@@ -0,0 +1,87 @@
+import { sendMail } from "./mailService.js";
+import {
+  createOneTimeToken,
+  consumeOneTimeToken,
+} from "./oneTimeTokenService.js";
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60; // seconds
+const PASSWORD_RESET_TTL = 60 * 60; // seconds
+
+export const isEmailVerificationRequired = () =>
+  process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const frontendUrl = (pathname, token) =>
+  `${process.env.REACT_APP_FRONTEND_URL}${pathname}?token=${token}`;
+
+export const sendVerificationEmail = async (user) => {
+  const token = await createOneTimeToken(
+    "verify-email",
+    user._id,
+    EMAIL_VERIFICATION_TTL
+  );
+  const link = frontendUrl("/verify-email", token);
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Linkly email address",
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link within 24 hours:\n${link}\n\nIf you didn't create a Linkly account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(
+      user.username
+    )},</p><p>Confirm your email address by opening this link within 24 hours:</p><p><a href="${link}">${link}</a></p><p>If you didn't create a Linkly account, you can ignore this email.</p>`,
+  });
+};
+
+export const sendPasswordResetEmail = async (user) => {
+  const token = await createOneTimeToken(
+    "reset-password",
+    user._id,
+    PASSWORD_RESET_TTL
+  );
+  const link = frontendUrl("/reset-password", token);
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Linkly password",
+    text: `Hi ${user.username},\n\nReset your password by opening this link within 1 hour:\n${link}\n\nIf you didn't ask for a reset, you can ignore this email; your password is unchanged.`,
+    html: `<p>Hi ${escapeHtml(
+      user.username
+    )},</p><p>Reset your password by opening this link within 1 hour:</p><p><a href="${link}">${link}</a></p><p>If you didn't ask for a reset, you can ignore this email; your password is unchanged.</p>`,
+  });
+};
+
+// Invitation to a shared collection. Goes to the address the owner typed,
+// whether or not it has an account: accepting needs a verified sign-in.
+export const sendCollectionInviteEmail = async ({
+  to,
+  inviterName,
+  collectionName,
+  role,
+}) => {
+  const link = `${process.env.REACT_APP_FRONTEND_URL}/collection-invites`;
+  const access = role === "editor" ? "edit" : "view";
+
+  await sendMail({
+    to,
+    subject: `${inviterName} shared "${collectionName}" with you on Linkly`,
+    text: `Hi,\n\n${inviterName} invited you to ${access} the collection "${collectionName}" on Linkly. Sign in with this email address (or sign up and verify it) to accept:\n${link}\n\nIf you don't want to join, you can ignore this email.`,
+    html: `<p>Hi,</p><p>${escapeHtml(
+      inviterName
+    )} invited you to ${access} the collection "${escapeHtml(
+      collectionName
+    )}" on Linkly. Sign in with this email address (or sign up and verify it) to accept:</p><p><a href="${link}">${link}</a></p><p>If you don't want to join, you can ignore this email.</p>`,
+  });
+};
+
+// Both return the user id the token belongs to, or null
+export const consumeEmailVerificationToken = (token) =>
+  consumeOneTimeToken("verify-email", token);
+
+export const consumePasswordResetToken = (token) =>
+  consumeOneTimeToken("reset-password", token);
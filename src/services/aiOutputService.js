@@ -0,0 +1,224 @@
+import { SYSTEM_CATEGORIES } from "./systemCollectionService.js";
+
+// Validation and normalization for LLM responses. Each schema's `normalize`
+// returns `{ value, errors }`: `value` in the shape the worker stores, and a
+// list of problems that a repair prompt can feed back to the model.
+
+const MAX_TAGS = 5;
+
+const toNumber = (value) =>
+  typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+
+const normalizeSummary = (raw) => {
+  const errors = [];
+  if (!raw || typeof raw !== "object") {
+    return {
+      value: null,
+      errors: ["expected an object with summary and tags"],
+    };
+  }
+
+  if (typeof raw.summary !== "string" || raw.summary.trim() === "") {
+    errors.push("summary must be a non-empty string");
+  }
+  if (
+    !Array.isArray(raw.tags) ||
+    !raw.tags.every((t) => typeof t === "string")
+  ) {
+    errors.push("tags must be an array of strings");
+  }
+
+  return {
+    value: {
+      summary: typeof raw.summary === "string" ? raw.summary.trim() : "",
+      tags: Array.isArray(raw.tags)
+        ? [
+            ...new Set(raw.tags.map((t) => String(t).trim()).filter(Boolean)),
+          ].slice(0, MAX_TAGS)
+        : [],
+    },
+    errors,
+  };
+};
+
+const normalizeSafety = (raw) => {
+  const errors = [];
+  if (!raw || typeof raw !== "object") {
+    return {
+      value: null,
+      errors: ["expected an object with safety_rating and explanation"],
+    };
+  }
+
+  const rating = toNumber(raw.safety_rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    errors.push("safety_rating must be an integer from 1 to 5");
+  }
+  // The prompt asks for `explanation`; some models answer `justification`
+  const justification = raw.explanation ?? raw.justification;
+  if (typeof justification !== "string" || justification.trim() === "") {
+    errors.push("explanation must be a non-empty string");
+  }
+
+  return {
+    value: {
+      rating,
+      justification:
+        typeof justification === "string" ? justification.trim() : "",
+    },
+    errors,
+  };
+};
+
+const normalizeClassification = (raw) => {
+  const errors = [];
+  if (!raw || typeof raw !== "object") {
+    return {
+      value: null,
+      errors: ["expected an object with category, confidence and reason"],
+    };
+  }
+
+  const category = SYSTEM_CATEGORIES.find(
+    (name) =>
+      typeof raw.category === "string" &&
+      name.toLowerCase() === raw.category.trim().toLowerCase()
+  );
+  if (!category) {
+    errors.push(`category must be one of: ${SYSTEM_CATEGORIES.join(", ")}`);
+  }
+  const confidence = toNumber(raw.confidence);
+  if (typeof confidence !== "number" || !(confidence >= 0 && confidence <= 1)) {
+    errors.push("confidence must be a number from 0 to 1");
+  }
+
+  return {
+    value: {
+      category,
+      confidence,
+      reason: typeof raw.reason === "string" ? raw.reason.trim() : "",
+    },
+    errors,
+  };
+};
+
+const prefixErrors = (prefix, errors) => errors.map((e) => `${prefix}.${e}`);
+
+export const SUMMARY_SCHEMA = {
+  name: "summary",
+  shape: '{ "summary": string, "tags": string[] (max 5) }',
+  normalize: normalizeSummary,
+};
+
+export const SAFETY_SCHEMA = {
+  name: "safety",
+  shape: '{ "safety_rating": integer 1-5, "explanation": string }',
+  normalize: normalizeSafety,
+};
+
+export const CLASSIFICATION_SCHEMA = {
+  name: "classification",
+  shape: `{ "category": one of ${JSON.stringify(
+    SYSTEM_CATEGORIES
+  )}, "confidence": number 0-1, "reason": string }`,
+  normalize: normalizeClassification,
+};
+
+// The fast path asks for all three in one response
+export const COMBINED_SCHEMA = {
+  name: "combined analysis",
+  shape: `{ "summary_and_tags": ${SUMMARY_SCHEMA.shape}, "safety": ${SAFETY_SCHEMA.shape}, "classification": ${CLASSIFICATION_SCHEMA.shape} }`,
+  normalize: (raw) => {
+    if (!raw || typeof raw !== "object") {
+      return { value: null, errors: ["expected a JSON object"] };
+    }
+    const summary = normalizeSummary(raw.summary_and_tags);
+    const safety = normalizeSafety(raw.safety);
+    const classification = normalizeClassification(raw.classification);
+    return {
+      value: {
+        summaryData: summary.value,
+        safety: safety.value,
+        classification: classification.value,
+      },
+      errors: [
+        ...prefixErrors("summary_and_tags", summary.errors),
+        ...prefixErrors("safety", safety.errors),
+        ...prefixErrors("classification", classification.errors),
+      ],
+    };
+  },
+};
+
+// Pull the JSON object out of a response, tolerating ```json fences and
+// chatter around it
+export const extractJson = (text) => {
+  const cleaned = String(text)
+    .replace(/```json/gi, "")
+    .replace(/```/g, "")
+    .trim();
+  const start = cleaned.indexOf("{");
+  const end = cleaned.lastIndexOf("}");
+  if (start === -1 || end <= start) {
+    throw new Error("Response does not contain a JSON object");
+  }
+  return JSON.parse(cleaned.slice(start, end + 1));
+};
+
+const checkResponse = (text, schema) => {
+  let raw;
+  try {
+    raw = extractJson(text);
+  } catch (error) {
+    return { value: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+  return schema.normalize(raw);
+};
+
+const buildRepairPrompt = (
+  schema,
+  text,
+  errors
+) => `Your previous response did not match the required JSON format.
+
+Problems:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Required format:
+${schema.shape}
+
+Previous response:
+${text}
+
+Return ONLY the corrected JSON object, with no other text.`;
+
+// Validate `text` against `schema`. If it doesn't pass, ask the model to fix
+// its own answer (up to `maxRepairs` times) before giving up.
+export const parseWithRepair = async (
+  text,
+  schema,
+  generate,
+  maxRepairs = 2
+) => {
+  let current = text;
+  let result = checkResponse(current, schema);
+
+  for (let attempt = 1; result.errors.length > 0; attempt++) {
+    if (attempt > maxRepairs) {
+      throw new Error(
+        `AI ${schema.name} response failed validation: ${result.errors.join(
+          "; "
+        )}`
+      );
+    }
+    console.warn(
+      `AI ${schema.name} response invalid (${result.errors.join(
+        "; "
+      )}). Repair attempt ${attempt} of ${maxRepairs}.`
+    );
+    current = await generate(buildRepairPrompt(schema, current, result.errors));
+    result = checkResponse(current, schema);
+  }
+
+  return result.value;
+};
@@ -1,8 +1,13 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import puppeteer from "puppeteer";
 import "dotenv/config";
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+import { getLlmProvider } from "./llmProviders.js";
+import { extractTextFromUrl } from "./contentExtractor.js";
+import {
+  SUMMARY_SCHEMA,
+  SAFETY_SCHEMA,
+  CLASSIFICATION_SCHEMA,
+  COMBINED_SCHEMA,
+  parseWithRepair,
+} from "./aiOutputService.js";
 
 const summaryPromptTemplate = `You are an assistant that summarizes the content of webpages. 
     The following text is the scraped content from a given URL. 
@@ -50,7 +55,7 @@ const safetyPromptTemplate = `You are a security and safety auditor for web cont
     JSON schema:
     {
       "safety_rating": 1-5,
-      "explanation": "string";
+      "explanation": "string"
     }
     Here is the scraped content from the URL: """\${text}"""`;
 
@@ -82,52 +87,20 @@ const classificationPromptTemplate = `
       """\${text}"""
       `;
 
-// --- 1. Puppeteer Web Scraper (Unchanged) ---
-async function scrapeTextFromUrl(url) {
-  let browser = null;
-  try {
-    console.log(`Launching headless browser to scrape: ${url}`);
-    browser = await puppeteer.launch({
-      headless: "new",
-      args: ["--no-sandbox", "--disable-setuid-sandbox"],
-    });
-    const page = await browser.newPage();
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36"
-    );
-    await page.goto(url, { waitUntil: "networkidle0", timeout: 30000 });
-    const textContent = await page.evaluate(() => document.body.innerText);
-    console.log(`Successfully scraped ${textContent.length} characters.`);
-    return textContent.replace(/\s\s+/g, " ").trim();
-  } catch (error) {
-    console.error(`Puppeteer scraping failed for URL: ${url}`, error.message);
-    return null;
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
-  }
-}
-
 // --- ⭐ NEW: A Resilient Function to Call the AI with Retries ⭐ ---
-async function generateContentWithRetry(model, prompt) {
+async function generateContentWithRetry(provider, prompt) {
   const maxRetries = 3;
   for (let i = 0; i < maxRetries; i++) {
     try {
-      return await model.generateContent(prompt);
+      return await provider.generateText(prompt);
     } catch (error) {
       // Check if it's a 429 rate limit error
       if (error.status === 429) {
         console.warn(
           `Rate limit hit. Retrying attempt ${i + 1} of ${maxRetries}...`
         );
-        // Extract the suggested retry delay from the error details
-        const retryDetails = error.errorDetails?.find(
-          (d) => d["@type"] === "type.googleapis.com/google.rpc.RetryInfo"
-        );
-        const delaySeconds = retryDetails
-          ? parseInt(retryDetails.retryDelay.replace("s", ""), 10)
-          : 30;
+        // Use the provider's suggested retry delay when it sent one
+        const delaySeconds = error.retryAfterSeconds || 30;
 
         console.log(`Waiting for ${delaySeconds} seconds before retrying.`);
         await new Promise((resolve) =>
@@ -146,7 +119,11 @@ async function generateContentWithRetry(model, prompt) {
 }
 
 // --- 2. MapReduce Pipeline for Long Text Summarization ---
-async function getSummarizationFromChunks(text, model, finalSummaryUserPrompt) {
+async function getSummarizationFromChunks(
+  text,
+  provider,
+  finalSummaryUserPrompt
+) {
   const tokenLimit = 3000 * 4;
   const textChunks = [];
   for (let i = 0; i < text.length; i += tokenLimit) {
@@ -161,8 +138,8 @@ async function getSummarizationFromChunks(text, model, finalSummaryUserPrompt) {
   const chunkSummaries = [];
   for (const chunk of textChunks) {
     const prompt = `This is a snippet from a larger document. Summarize its main points concisely. Snippet: """${chunk}"""`;
-    const result = await generateContentWithRetry(model, prompt);
-    chunkSummaries.push(result.response.text());
+    const summary = await generateContentWithRetry(provider, prompt);
+    chunkSummaries.push(summary);
     console.log(
       `Summarized chunk ${chunkSummaries.length} of ${textChunks.length}.`
     );
@@ -176,21 +153,39 @@ async function getSummarizationFromChunks(text, model, finalSummaryUserPrompt) {
     "${text}",
     combinedSummaries
   );
-  const finalResult = await generateContentWithRetry(model, finalSummaryPrompt); // Use retry function
-  return finalResult.response.text();
+  return generateContentWithRetry(provider, finalSummaryPrompt); // Use retry function
+}
+
+// Generate, then validate against `schema` with a repair round-trip if needed
+async function generateValidated(provider, prompt, schema) {
+  const text = await generateContentWithRetry(provider, prompt);
+  return parseWithRepair(text, schema, (repairPrompt) =>
+    generateContentWithRetry(provider, repairPrompt)
+  );
 }
 
 // --- 3. FINAL AI Analysis Function with Conditional Logic ---
+// Always resolves to:
+// { summary, tags, safety: { rating, justification },
+//   classification: { category, confidence, reason }, extractionMethod,
+//   metadata }
 export async function analyzeUrlContent(url) {
-  const text = await scrapeTextFromUrl(url);
+  // Plain fetch first, headless render only when needed
+  const {
+    text,
+    method: extractionMethod,
+    metadata,
+  } = await extractTextFromUrl(url);
   const characterThreshold = 4000; // Approx. 1000 tokens
 
   if (!text || text.length < 100) {
     return {
+      extractionMethod,
+      metadata,
       summary: "Could not extract sufficient text content from this URL.",
       tags: [],
       safety: {
-        safety_rating: 3,
+        rating: 3,
         justification:
           "Unable to analyze content. The page may be an image, a login wall, or a complex application.",
       },
@@ -202,7 +197,8 @@ export async function analyzeUrlContent(url) {
     };
   }
 
-  const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash-latest" });
+  // Vendor and model come from LLM_PROVIDER / LLM_MODEL
+  const provider = getLlmProvider();
 
   try {
     let summaryData, safety, classification;
@@ -220,66 +216,46 @@ export async function analyzeUrlContent(url) {
         Text to analyze: """${text}"""
       `;
 
-      const result = await generateContentWithRetry(model, combinedPrompt); // Use retry function
-      const fullResponse = JSON.parse(
-        result.response
-          .text()
-          .replace(/```json/g, "")
-          .replace(/```/g, "")
-          .trim()
-      );
-
-      summaryData = fullResponse.summary_and_tags;
-      safety = fullResponse.safety;
-      classification = fullResponse.classification;
+      ({ summaryData, safety, classification } = await generateValidated(
+        provider,
+        combinedPrompt,
+        COMBINED_SCHEMA
+      ));
     } else {
       // --- ROBUST PATH: Use the chunking pipeline for long texts ---
       console.log("Text is long. Using chunking pipeline (robust path).");
       const summaryJsonText = await getSummarizationFromChunks(
         text,
-        model,
+        provider,
         summaryPromptTemplate
       );
-      summaryData = JSON.parse(
-        summaryJsonText
-          .replace(/```json/g, "")
-          .replace(/```/g, "")
-          .trim()
+      summaryData = await parseWithRepair(
+        summaryJsonText,
+        SUMMARY_SCHEMA,
+        (repairPrompt) => generateContentWithRetry(provider, repairPrompt)
       );
 
       const firstChunk = text.slice(0, 8000);
-      const [safetyResult, classificationResult] = await Promise.all([
-        model.generateContent(
-          safetyPromptTemplate.replace("${text}", firstChunk)
+      [safety, classification] = await Promise.all([
+        generateValidated(
+          provider,
+          safetyPromptTemplate.replace("${text}", firstChunk),
+          SAFETY_SCHEMA
         ),
-        model.generateContent(
-          classificationPromptTemplate.replace("${text}", firstChunk)
+        generateValidated(
+          provider,
+          classificationPromptTemplate.replace("${text}", firstChunk),
+          CLASSIFICATION_SCHEMA
         ),
       ]);
-
-      safety = JSON.parse(
-        safetyResult.response
-          .text()
-          .replace(/```json/g, "")
-          .replace(/```/g, "")
-          .trim()
-      );
-      classification = JSON.parse(
-        classificationResult.response
-          .text()
-          .replace(/```json/g, "")
-          .replace(/```/g, "")
-          .trim()
-      );
     }
 
     return {
+      extractionMethod,
+      metadata,
       summary: summaryData.summary,
       tags: summaryData.tags,
-      safety: {
-        safety_rating: safety.safety_rating,
-        justification: safety.explanation, // Match your prompt's key
-      },
+      safety,
       classification,
     };
   } catch (error) {
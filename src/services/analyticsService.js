@@ -0,0 +1,137 @@
+import crypto from "crypto";
+import { UAParser } from "ua-parser-js";
+import redisClient from "../db/redis.js";
+import { ClickEvent } from "../models/ClickEvent.js";
+
+// Redis list that buffers click events until the worker flushes them
+const CLICK_BUFFER_KEY = "clicks:buffer";
+// Batch being inserted by flushClickBuffer
+const CLICK_PROCESSING_KEY = "clicks:processing";
+const FLUSH_BATCH_SIZE = 500;
+
+// Salted so stored hashes can't be matched against known addresses
+export const hashIp = (ip) => {
+  if (!ip) return null;
+  const salt = process.env.IP_HASH_SALT || process.env.JWT_KEY || "";
+  return crypto.createHash("sha256").update(`${salt}:${ip}`).digest("hex");
+};
+
+const getReferrerHost = (referrer) => {
+  if (!referrer) return null;
+  try {
+    return new URL(referrer).hostname;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Build a click event from the incoming redirect request
+export const buildClickEvent = (req, linkId) => {
+  const userAgent = req.headers["user-agent"] || null;
+  const referrer = req.headers["referer"] || req.headers["referrer"] || null;
+  const parsed = new UAParser(userAgent || "").getResult();
+
+  return {
+    timestamp: new Date().toISOString(),
+    link: linkId,
+    referrer,
+    referrerHost: getReferrerHost(referrer),
+    userAgent,
+    // req.ip honours the app's "trust proxy" setting, so it can't be spoofed
+    ipHash: hashIp(req.ip),
+    browser: parsed.browser.name || "Unknown",
+    os: parsed.os.name || "Unknown",
+    // ua-parser leaves device.type undefined for desktop browsers
+    device: parsed.device.type || "desktop",
+  };
+};
+
+// Push a click event onto the Redis buffer. Never throws, so a Redis hiccup
+// can't break the redirect itself.
+export const recordClick = async (req, linkId) => {
+  try {
+    const event = buildClickEvent(req, linkId);
+    await redisClient.rPush(CLICK_BUFFER_KEY, JSON.stringify(event));
+  } catch (error) {
+    console.error(`Failed to buffer click event for link ${linkId}:`, error);
+  }
+};
+
+// Parse buffered entries, dropping any that aren't valid click events.
+// Returns the events and the raw entries they came from, index for index.
+const parseBufferedClicks = (batch) => {
+  const events = [];
+  const entries = [];
+  for (const entry of batch) {
+    try {
+      const event = JSON.parse(entry);
+      event.timestamp = new Date(event.timestamp);
+      events.push(event);
+      entries.push(entry);
+    } catch (error) {
+      console.warn("Dropping malformed click event from the buffer:", entry);
+    }
+  }
+  return { events, entries };
+};
+
+// Drain the Redis buffer into the ClickEvent time-series collection. Each
+// batch is moved to a processing list first and only deleted once it has
+// been inserted, so a crash mid-flush leaves it for the next run.
+export const flushClickBuffer = async () => {
+  let flushed = 0;
+
+  while (true) {
+    // A batch left behind by an interrupted flush goes first
+    let batch = await redisClient.lRange(CLICK_PROCESSING_KEY, 0, -1);
+    const recovered = batch.length > 0;
+    if (!recovered) {
+      // LMOVE is atomic per entry, so every click is always on one list
+      const moved = await Promise.all(
+        Array.from({ length: FLUSH_BATCH_SIZE }, () =>
+          redisClient.lMove(
+            CLICK_BUFFER_KEY,
+            CLICK_PROCESSING_KEY,
+            "LEFT",
+            "RIGHT"
+          )
+        )
+      );
+      batch = moved.filter((entry) => entry !== null);
+    }
+    if (batch.length === 0) break;
+
+    const { events, entries } = parseBufferedClicks(batch);
+
+    try {
+      if (events.length > 0) {
+        await ClickEvent.insertMany(events, { ordered: false });
+      }
+      flushed += events.length;
+    } catch (error) {
+      // Unordered inserts carry on past a failed document, so only the
+      // entries listed in writeErrors are re-queued; putting back the whole
+      // batch would count the inserted clicks twice
+      const failed = error.writeErrors
+        ? error.writeErrors.map((writeError) => entries[writeError.index])
+        : entries;
+      flushed += events.length - failed.length;
+      console.error(
+        `Failed to flush ${failed.length} click events, re-queueing them:`,
+        error
+      );
+      const requeue = redisClient.multi();
+      if (failed.length > 0) requeue.rPush(CLICK_BUFFER_KEY, failed);
+      await requeue.del(CLICK_PROCESSING_KEY).exec();
+      throw error;
+    }
+    await redisClient.del(CLICK_PROCESSING_KEY);
+
+    if (!recovered && batch.length < FLUSH_BATCH_SIZE) break;
+  }
+
+  if (flushed > 0) {
+    console.log(`Flushed ${flushed} click events to MongoDB`);
+  }
+  return flushed;
+};
@@ -0,0 +1,71 @@
+import crypto from "crypto";
+import { ApiKey } from "../models/ApiKey.js";
+
+const KEY_PREFIX = "lk_";
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+export const isApiKey = (value) =>
+  typeof value === "string" && value.startsWith(KEY_PREFIX);
+
+export const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return { key, prefix: key.slice(0, 11), keyHash: hashApiKey(key) };
+};
+
+// Accepts `X-API-Key: lk_...` or `Authorization: Bearer lk_...`
+export const extractApiKey = (req) => {
+  const header = req.headers["x-api-key"];
+  if (isApiKey(header)) return header;
+
+  const [scheme, value] = (req.headers.authorization || "").split(" ");
+  if (/^(Bearer|ApiKey)$/i.test(scheme) && isApiKey(value)) return value;
+
+  return null;
+};
+
+// Active key document for a raw key, or null
+export const resolveApiKey = async (rawKey) => {
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashApiKey(rawKey),
+    revokedAt: null,
+  }).lean();
+  if (!apiKey) return null;
+
+  const lastUsed = apiKey.lastUsedAt ? apiKey.lastUsedAt.getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(
+      (error) => console.error("Failed to record API key use:", error)
+    );
+  }
+
+  return apiKey;
+};
+
+// Scope a request under /loggedin/:user_id needs, or null when API keys may
+// not call it at all. `path` is the part after /loggedin/:user_id.
+export const requiredScopeFor = (method, path) => {
+  // Billing and webhook secrets stay behind a signed-in session
+  if (/^\/(subscription|webhooks)(\/|$)/.test(path)) return null;
+
+  const isRead =
+    ["GET", "HEAD", "OPTIONS"].includes(method) ||
+    // A search sent as a POST body. Exports are not reads: they queue a job
+    // and write files, so they need links:write.
+    (method === "POST" && /^\/links\/filter\/?$/.test(path));
+  if (isRead) return "read";
+
+  if (
+    /^\/(collections|collection-invites)(\/|$)/.test(path) ||
+    /^\/link\/[^/]+\/collections\/?$/.test(path)
+  ) {
+    return "collections:write";
+  }
+  return "links:write";
+};
+
+export const hasScope = (apiKey, scope) =>
+  scope === "read" ? apiKey.scopes.length > 0 : apiKey.scopes.includes(scope);
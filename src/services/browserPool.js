@@ -0,0 +1,139 @@
+import puppeteer from "puppeteer";
+import "dotenv/config";
+
+// One shared Chromium for the analysis worker, handing out a fixed number of
+// pages. Pages are reused between jobs and replaced after PAGE_MAX_USES
+// navigations or any failure; if Chromium itself dies, the next request
+// launches a fresh one.
+
+export const BROWSER_POOL_SIZE = Math.max(
+  1,
+  Number(process.env.BROWSER_POOL_SIZE) || 2
+);
+const PAGE_MAX_USES = Number(process.env.BROWSER_PAGE_MAX_USES) || 20;
+// Upper bound for one render, from waiting for a page to reading its text
+export const BROWSER_JOB_TIMEOUT_MS =
+  Number(process.env.BROWSER_JOB_TIMEOUT_MS) || 45000;
+
+let browserPromise = null;
+let idlePages = [];
+let openPages = 0;
+const waiting = [];
+
+const launchBrowser = () => {
+  if (!browserPromise) {
+    console.log("Launching shared headless browser.");
+    browserPromise = puppeteer
+      .launch({
+        headless: "new",
+        args: ["--no-sandbox", "--disable-setuid-sandbox"],
+      })
+      .then((browser) => {
+        const launched = browserPromise;
+        // Pages of a dead browser are dropped as they come back to the pool
+        browser.on("disconnected", () => {
+          console.warn("Headless browser disconnected, it will be relaunched.");
+          if (browserPromise === launched) browserPromise = null;
+        });
+        return browser;
+      })
+      .catch((error) => {
+        browserPromise = null;
+        throw error;
+      });
+  }
+  return browserPromise;
+};
+
+const openPage = async () => {
+  openPages += 1;
+  try {
+    const browser = await launchBrowser();
+    const page = await browser.newPage();
+    return { page, browser, uses: 0 };
+  } catch (error) {
+    openPages -= 1;
+    throw error;
+  }
+};
+
+const discardPage = async (entry) => {
+  openPages -= 1;
+  try {
+    if (!entry.page.isClosed()) await entry.page.close();
+  } catch (error) {
+    // Already gone with its browser
+  }
+};
+
+const acquirePage = async () => {
+  while (idlePages.length > 0) {
+    const entry = idlePages.pop();
+    if (entry.browser.connected && !entry.page.isClosed()) return entry;
+    await discardPage(entry);
+  }
+  if (openPages < BROWSER_POOL_SIZE) return openPage();
+  return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+};
+
+const releasePage = async (entry, broken) => {
+  entry.uses += 1;
+  const reusable =
+    !broken &&
+    entry.uses < PAGE_MAX_USES &&
+    entry.browser.connected &&
+    !entry.page.isClosed();
+
+  if (!reusable) await discardPage(entry);
+
+  const next = waiting.shift();
+  if (!next) {
+    if (reusable) idlePages.push(entry);
+    return;
+  }
+  if (reusable) {
+    next.resolve(entry);
+  } else {
+    openPage().then(next.resolve, next.reject);
+  }
+};
+
+// Run `task(page)` on a pooled page. Rejects after `timeoutMs`, in which case
+// the page is closed (aborting whatever it was doing) rather than reused.
+export const withBrowserPage = async (
+  task,
+  timeoutMs = BROWSER_JOB_TIMEOUT_MS
+) => {
+  let timer;
+  let entry = null;
+  let broken = true;
+  let timedOut = false;
+
+  const pageRequest = acquirePage();
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      if (entry) entry.page.close().catch(() => {});
+      reject(new Error(`Headless render timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  try {
+    const run = pageRequest.then(async (acquired) => {
+      entry = acquired;
+      if (timedOut) throw new Error("Headless render timed out");
+      const result = await task(entry.page);
+      broken = false;
+      return result;
+    });
+    return await Promise.race([run, timeout]);
+  } finally {
+    clearTimeout(timer);
+    if (entry) {
+      await releasePage(entry, broken);
+    } else {
+      // Still queued for a page: hand it straight back when it arrives
+      pageRequest.then((late) => releasePage(late, false)).catch(() => {});
+    }
+  }
+};
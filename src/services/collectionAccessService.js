@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import { Collection } from "../models/Collection.js";
+import { CollectionMember } from "../models/CollectionMember.js";
+import { ApiError } from "../utilities/ApiError.js";
+
+// Higher roles include every permission of the lower ones
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Resolve what `userId` may do with a collection: "owner", "editor",
+// "viewer", or null when they have no access at all.
+export const getCollectionRole = async (collection, userId) => {
+  if (collection.owner.toString() === userId.toString()) return "owner";
+
+  const membership = await CollectionMember.findOne({
+    collectionId: collection._id,
+    user: userId,
+    status: "ACCEPTED",
+  }).lean();
+
+  return membership ? membership.role : null;
+};
+
+// Shared permission check for every collection route. Loads the collection
+// and throws 404 when the user can't see it, or 403 when they can see it
+// but their role is below `minRole`.
+export const requireCollectionAccess = async (
+  collectionId,
+  userId,
+  minRole = "viewer"
+) => {
+  if (
+    !mongoose.Types.ObjectId.isValid(collectionId) ||
+    !mongoose.Types.ObjectId.isValid(userId)
+  ) {
+    throw new ApiError(400, "Invalid ID format.");
+  }
+
+  const collection = await Collection.findById(collectionId);
+  const role = collection ? await getCollectionRole(collection, userId) : null;
+
+  if (!role) {
+    throw new ApiError(404, "Collection not found or permission denied.");
+  }
+  if (ROLE_RANK[role] < ROLE_RANK[minRole]) {
+    throw new ApiError(
+      403,
+      `This action requires ${minRole} access to the collection.`
+    );
+  }
+
+  return { collection, role };
+};
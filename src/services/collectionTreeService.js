@@ -0,0 +1,177 @@
+import mongoose from "mongoose";
+import { Collection } from "../models/Collection.js";
+import { Link } from "../models/Link.js";
+import { ApiError } from "../utilities/ApiError.js";
+
+// Root collections are depth 1
+export const MAX_COLLECTION_DEPTH =
+  Number(process.env.MAX_COLLECTION_DEPTH) || 5;
+
+// IDs from the collection up to the root, starting with the collection itself
+const getAncestorChain = async (collectionId) => {
+  const chain = [];
+  let currentId = collectionId;
+
+  while (currentId) {
+    if (chain.length > MAX_COLLECTION_DEPTH * 2) {
+      // Only reachable if the stored data already contains a loop
+      throw new ApiError(500, "Collection hierarchy is corrupted.");
+    }
+    chain.push(currentId.toString());
+    const current = await Collection.findById(currentId)
+      .select("parent")
+      .lean();
+    currentId = current ? current.parent : null;
+  }
+
+  return chain;
+};
+
+// Number of levels in a collection's subtree (a leaf has height 1)
+const getSubtreeHeight = async (collectionId) => {
+  const [result] = await Collection.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(collectionId) } },
+    {
+      $graphLookup: {
+        from: "collections",
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "parent",
+        as: "descendants",
+        depthField: "level",
+      },
+    },
+    { $project: { height: { $max: "$descendants.level" } } },
+  ]);
+
+  // $graphLookup levels start at 0 for direct children
+  return result && result.height !== null ? result.height + 2 : 1;
+};
+
+// IDs of every collection below `collectionId`
+export const getDescendantIds = async (collectionId) => {
+  const [result] = await Collection.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(collectionId) } },
+    {
+      $graphLookup: {
+        from: "collections",
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "parent",
+        as: "descendants",
+      },
+    },
+    { $project: { ids: "$descendants._id" } },
+  ]);
+  return result ? result.ids : [];
+};
+
+// Check that `parentId` is a valid parent for `collectionId` (or for a new
+// collection when `collectionId` is null): owned by the same user, not the
+// collection itself or one of its descendants, and within the depth limit.
+export const validateParentAssignment = async (
+  userId,
+  collectionId,
+  parentId
+) => {
+  if (parentId === null) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    throw new ApiError(400, "Invalid parent collection ID format.");
+  }
+
+  const parent = await Collection.findOne({ _id: parentId, owner: userId })
+    .select("_id")
+    .lean();
+  if (!parent) {
+    throw new ApiError(
+      404,
+      "Parent collection not found or permission denied."
+    );
+  }
+
+  const parentChain = await getAncestorChain(parentId);
+
+  if (collectionId && parentChain.includes(collectionId.toString())) {
+    throw new ApiError(
+      400,
+      "A collection cannot be moved inside itself or one of its sub-collections."
+    );
+  }
+
+  const subtreeHeight = collectionId ? await getSubtreeHeight(collectionId) : 1;
+  if (parentChain.length + subtreeHeight > MAX_COLLECTION_DEPTH) {
+    throw new ApiError(
+      400,
+      `Collections cannot be nested more than ${MAX_COLLECTION_DEPTH} levels deep.`
+    );
+  }
+
+  return parent._id;
+};
+
+// Full hierarchy for a user with link and click counts aggregated per subtree.
+// A link that sits in several collections of one subtree is counted once.
+export const buildCollectionTree = async (userId) => {
+  const [collections, linkStats] = await Promise.all([
+    Collection.find({ owner: userId })
+      .sort({ name: 1 })
+      .select("name description color parent links isPublic slug isSystem")
+      .lean(),
+    Link.find({ owner: userId }).select("viewerCount").lean(),
+  ]);
+
+  const clicksByLink = new Map(
+    linkStats.map((link) => [link._id.toString(), link.viewerCount || 0])
+  );
+
+  const nodes = new Map();
+  for (const collection of collections) {
+    nodes.set(collection._id.toString(), {
+      _id: collection._id,
+      name: collection.name,
+      description: collection.description,
+      color: collection.color,
+      parent: collection.parent,
+      isPublic: collection.isPublic,
+      slug: collection.slug,
+      isSystem: collection.isSystem,
+      linkCount: collection.links ? collection.links.length : 0,
+      clickCount: (collection.links || []).reduce(
+        (sum, id) => sum + (clicksByLink.get(id.toString()) || 0),
+        0
+      ),
+      linkIds: (collection.links || []).map((id) => id.toString()),
+      children: [],
+    });
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parentNode = node.parent ? nodes.get(node.parent.toString()) : null;
+    if (parentNode) {
+      parentNode.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  // Post-order walk to roll the counts up each subtree
+  const aggregate = (node, depth) => {
+    const subtreeLinks = new Set(node.linkIds);
+    for (const child of node.children) {
+      for (const id of aggregate(child, depth + 1)) subtreeLinks.add(id);
+    }
+    node.depth = depth;
+    node.totalLinkCount = subtreeLinks.size;
+    node.totalClickCount = [...subtreeLinks].reduce(
+      (sum, id) => sum + (clicksByLink.get(id) || 0),
+      0
+    );
+    delete node.linkIds;
+    return subtreeLinks;
+  };
+  roots.forEach((root) => aggregate(root, 1));
+
+  return roots;
+};
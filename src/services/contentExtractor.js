@@ -0,0 +1,274 @@
+import axios from "axios";
+import * as cheerio from "cheerio";
+import { withBrowserPage } from "./browserPool.js";
+import { extractPageMetadata } from "./metadataService.js";
+import {
+  assertPublicUrl,
+  isPublicUrl,
+  publicAgents,
+} from "./publicNetworkService.js";
+
+// Tiered page text extraction: a plain HTTP fetch parsed with cheerio first,
+// and a headless Chromium render only when that isn't good enough.
+
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36";
+// Below this much main-content text the static result is not trusted
+const MIN_STATIC_TEXT_LENGTH = 500;
+const STATIC_FETCH_TIMEOUT_MS = 15000;
+const MAX_HTML_BYTES = 5 * 1024 * 1024;
+
+export const EXTRACTION_METHODS = {
+  STATIC: "STATIC",
+  HEADLESS: "HEADLESS",
+  NONE: "NONE",
+};
+
+// Never part of the main content
+const NOISE_SELECTORS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+  "iframe",
+  "form",
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  "[role=navigation]",
+  "[role=banner]",
+  "[role=contentinfo]",
+  "[aria-hidden=true]",
+].join(",");
+
+const NOISE_CLASS =
+  /(comment|sidebar|footer|header|menu|nav|promo|advert|\bads?\b|cookie|share|social|related|newsletter|popup|modal)/i;
+// ...unless the name also suggests it wraps the content
+const CONTENT_CLASS = /(article|body|content|main|post|entry|story)/i;
+
+const normalizeText = (text) => text.replace(/\s\s+/g, " ").trim();
+
+// Single-page apps ship an empty mount point and a pile of scripts
+const isScriptHeavy = ($, html, textLength) => {
+  const scriptBytes = $("script")
+    .toArray()
+    .reduce((sum, el) => sum + ($(el).html() || "").length, 0);
+  const externalScripts = $("script[src]").length;
+
+  const emptyAppRoot = ["#root", "#app", "#__next", "#__nuxt", "[ng-app]"].some(
+    (selector) => {
+      const el = $(selector);
+      return el.length > 0 && normalizeText(el.text()).length < 50;
+    }
+  );
+  const asksForJavaScript = /enable javascript|requires javascript/i.test(
+    $("noscript").text()
+  );
+
+  return (
+    emptyAppRoot ||
+    asksForJavaScript ||
+    (textLength < 2000 &&
+      (scriptBytes > html.length * 0.5 || externalScripts > 15))
+  );
+};
+
+// Readability-style pick of the main content: score containers by the
+// paragraph text they hold, with a share going to the grandparent.
+const extractMainContent = ($) => {
+  $(NOISE_SELECTORS).remove();
+  $("[class],[id]").each((_, el) => {
+    const name = `${$(el).attr("class") || ""} ${$(el).attr("id") || ""}`;
+    if (
+      NOISE_CLASS.test(name) &&
+      !CONTENT_CLASS.test(name) &&
+      !$(el).is("body,main,article") &&
+      // Layout wrappers like "with-sidebar" can hold the article itself
+      $(el).find("p").length < 3
+    ) {
+      $(el).remove();
+    }
+  });
+
+  // cheerio's text() runs block elements together ("TitleFirst sentence")
+  $("p, h1, h2, h3, h4, h5, h6, li, td, div, br").append(" ");
+
+  const semantic = $("article, main, [role=main]").first();
+  if (semantic.length) {
+    const text = normalizeText(semantic.text());
+    if (text.length >= MIN_STATIC_TEXT_LENGTH) return text;
+  }
+
+  const scores = new Map();
+  $("p, pre, li, td, blockquote").each((_, el) => {
+    const length = normalizeText($(el).text()).length;
+    if (length < 25) return;
+    const parent = el.parent;
+    const grandparent = parent?.parent;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + length);
+    if (grandparent) {
+      scores.set(grandparent, (scores.get(grandparent) || 0) + length / 2);
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  }
+
+  const text = normalizeText((best ? $(best) : $("body")).text());
+  return text.length >= MIN_STATIC_TEXT_LENGTH
+    ? text
+    : normalizeText($("body").text());
+};
+
+// Tier 1: plain fetch. Returns { text, metadata, needsRender }. Throws
+// EPRIVATEADDRESS for a URL that isn't public.
+export const fetchStaticText = async (url) => {
+  assertPublicUrl(url);
+  const response = await axios.get(url, {
+    headers: { "User-Agent": USER_AGENT, Accept: "text/html,text/plain" },
+    timeout: STATIC_FETCH_TIMEOUT_MS,
+    maxContentLength: MAX_HTML_BYTES,
+    responseType: "text",
+    ...publicAgents,
+    proxy: false,
+    maxRedirects: 0,
+    validateStatus: (status) => status >= 200 && status < 400,
+  });
+
+  // Callers pass the end of an already screened redirect chain; a page that
+  // redirects again now is not followed, so there is nothing to read
+  if (response.status >= 300) {
+    return { text: "", metadata: null, needsRender: false };
+  }
+
+  const contentType = response.headers["content-type"] || "";
+  if (contentType.includes("text/plain")) {
+    return {
+      text: normalizeText(response.data),
+      metadata: null,
+      needsRender: false,
+    };
+  }
+  if (!contentType.includes("html")) {
+    // PDFs, images, ...: nothing either tier can read
+    return { text: "", metadata: null, needsRender: false };
+  }
+
+  const html = response.data;
+  const $ = cheerio.load(html);
+  // Read <head> before extraction strips the document
+  const metadata = extractPageMetadata($, url);
+  const scriptHeavy = isScriptHeavy(
+    $,
+    html,
+    normalizeText($("body").text()).length
+  );
+  const text = extractMainContent($);
+
+  return {
+    text,
+    metadata,
+    needsRender: scriptHeavy || text.length < MIN_STATIC_TEXT_LENGTH,
+  };
+};
+
+// Chromium follows redirects and loads subresources on its own, so each of
+// its requests is checked before it goes out. Chromium resolves the name again
+// itself, so this narrows DNS rebinding rather than ruling it out.
+const allowPublicRequest = async (request) => {
+  const url = request.url();
+  // Inline content never touches the network
+  const allowed =
+    url.startsWith("data:") ||
+    url.startsWith("blob:") ||
+    (await isPublicUrl(url));
+  // The page may have moved on and handled the request already
+  (allowed ? request.continue() : request.abort("blockedbyclient")).catch(
+    () => {}
+  );
+};
+
+// Tier 2: full headless render on a page from the shared pool.
+// Returns { text, metadata } or null.
+async function scrapeTextFromUrl(url) {
+  try {
+    console.log(`Rendering with headless browser: ${url}`);
+    const rendered = await withBrowserPage(async (page) => {
+      await page.setUserAgent(USER_AGENT);
+      await page.setRequestInterception(true);
+      page.on("request", allowPublicRequest);
+      await page.goto(url, { waitUntil: "networkidle0", timeout: 30000 });
+      const text = await page.evaluate(() => document.body.innerText);
+      const html = await page.content();
+      const finalUrl = page.url();
+      // Leave the page blank so the next job doesn't inherit timers, sockets
+      // or the request filter
+      page.off("request", allowPublicRequest);
+      await page.setRequestInterception(false);
+      await page.goto("about:blank");
+      return { text, html, finalUrl };
+    });
+    console.log(`Successfully scraped ${rendered.text.length} characters.`);
+    return {
+      text: normalizeText(rendered.text),
+      metadata: extractPageMetadata(
+        cheerio.load(rendered.html),
+        rendered.finalUrl
+      ),
+    };
+  } catch (error) {
+    console.error(`Puppeteer scraping failed for URL: ${url}`, error.message);
+    return null;
+  }
+}
+
+// Returns { text, method, metadata } where method is one of
+// EXTRACTION_METHODS and metadata comes from extractPageMetadata (or null)
+export const extractTextFromUrl = async (url) => {
+  let staticText = "";
+  let staticMetadata = null;
+  try {
+    const result = await fetchStaticText(url);
+    staticText = result.text;
+    staticMetadata = result.metadata;
+    if (!result.needsRender) {
+      console.log(`Static fetch extracted ${staticText.length} characters.`);
+      return {
+        text: staticText,
+        method: staticText
+          ? EXTRACTION_METHODS.STATIC
+          : EXTRACTION_METHODS.NONE,
+        metadata: staticMetadata,
+      };
+    }
+    console.log("Static fetch not sufficient, rendering with Puppeteer.");
+  } catch (error) {
+    console.warn(`Static fetch failed for URL: ${url}`, error.message);
+    if (error.code === "EPRIVATEADDRESS") {
+      return { text: null, method: EXTRACTION_METHODS.NONE, metadata: null };
+    }
+  }
+
+  const rendered = await scrapeTextFromUrl(url);
+  // Script-rendered pages often fill in their <head> client-side too
+  const metadata = rendered?.metadata || staticMetadata;
+  if (rendered && rendered.text.length >= staticText.length) {
+    return {
+      text: rendered.text,
+      method: EXTRACTION_METHODS.HEADLESS,
+      metadata,
+    };
+  }
+  if (staticText) {
+    return { text: staticText, method: EXTRACTION_METHODS.STATIC, metadata };
+  }
+  return { text: null, method: EXTRACTION_METHODS.NONE, metadata };
+};
@@ -0,0 +1,318 @@
+import fs from "fs";
+import path from "path";
+import { once } from "events";
+import { Collection } from "../models/Collection.js";
+import { ExportJob } from "../models/ExportJob.js";
+import { Link } from "../models/Link.js";
+
+// Shared between the API (downloads) and the worker (writes)
+export const EXPORT_DIR = path.resolve(process.env.EXPORT_DIR || "exports");
+// How long finished exports stay downloadable
+const EXPORT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const LINK_EXPORT_FIELDS =
+  "shortId longUrl viewerCount tags aiSummary aiTags aiSafetyRating aiSafetyJustification aiClassification analysisStatus collections expiresAt maxClicks isActive createdAt updatedAt";
+
+const CSV_COLUMNS = [
+  "shortId",
+  "shortUrl",
+  "longUrl",
+  "clicks",
+  "tags",
+  "aiSummary",
+  "aiTags",
+  "aiSafetyRating",
+  "aiSafetyJustification",
+  "category",
+  "categoryConfidence",
+  "analysisStatus",
+  "collections",
+  "createdAt",
+];
+
+const FILE_NAMES = {
+  json: "linkly-export.json",
+  csv: "linkly-links.csv",
+  html: "linkly-bookmarks.html",
+};
+
+const shortUrlFor = (shortId) =>
+  `${process.env.REACT_APP_FRONTEND_URL}/linkly/${shortId}`;
+
+// Quote a CSV cell. Text starting with a formula character gets a leading
+// apostrophe so spreadsheets show it instead of evaluating it (scraped
+// titles and summaries are attacker-controlled).
+export const escapeCsv = (value) => {
+  if (value === null || value === undefined) return "";
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(str)) {
+    str = `'${str}`;
+  }
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const toUnixSeconds = (date) =>
+  date ? Math.floor(new Date(date).getTime() / 1000) : "";
+
+// Write with backpressure so large exports never buffer in memory
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await once(stream, "drain");
+  }
+};
+
+const closeStream = async (stream) => {
+  stream.end();
+  await once(stream, "finish");
+};
+
+const linkCursor = (userId, filter = {}) =>
+  Link.find({ owner: userId, ...filter })
+    .sort({ createdAt: 1 })
+    .select(LINK_EXPORT_FIELDS)
+    .lean()
+    .cursor();
+
+const serializeLink = (link, collectionNames) => ({
+  id: link._id,
+  shortId: link.shortId,
+  shortUrl: shortUrlFor(link.shortId),
+  longUrl: link.longUrl,
+  clicks: link.viewerCount || 0,
+  tags: link.tags || [],
+  aiSummary: link.aiSummary,
+  aiTags: link.aiTags || [],
+  aiSafetyRating: link.aiSafetyRating,
+  aiSafetyJustification: link.aiSafetyJustification,
+  aiClassification: link.aiClassification,
+  analysisStatus: link.analysisStatus,
+  collections: (link.collections || []).map((id) => ({
+    id,
+    name: collectionNames.get(id.toString()) || null,
+  })),
+  expiresAt: link.expiresAt,
+  maxClicks: link.maxClicks,
+  isActive: link.isActive,
+  createdAt: link.createdAt,
+  updatedAt: link.updatedAt,
+});
+
+const writeJsonExport = async (filePath, userId, collections, names) => {
+  const stream = fs.createWriteStream(filePath);
+  const hierarchy = collections.map((collection) => ({
+    id: collection._id,
+    name: collection.name,
+    description: collection.description,
+    color: collection.color,
+    parent: collection.parent,
+    isPublic: collection.isPublic,
+    isSystem: collection.isSystem,
+    linkCount: collection.links ? collection.links.length : 0,
+    createdAt: collection.createdAt,
+  }));
+
+  await write(
+    stream,
+    `{\n"exportedAt": ${JSON.stringify(new Date())},\n` +
+      `"collections": ${JSON.stringify(hierarchy, null, 2)},\n"links": [\n`
+  );
+
+  let count = 0;
+  for await (const link of linkCursor(userId)) {
+    const prefix = count === 0 ? "" : ",\n";
+    await write(stream, prefix + JSON.stringify(serializeLink(link, names)));
+    count += 1;
+  }
+
+  await write(stream, "\n]\n}\n");
+  await closeStream(stream);
+  return count;
+};
+
+const writeCsvExport = async (filePath, userId, names) => {
+  const stream = fs.createWriteStream(filePath);
+  await write(stream, CSV_COLUMNS.join(",") + "\n");
+
+  let count = 0;
+  for await (const link of linkCursor(userId)) {
+    const row = [
+      link.shortId,
+      shortUrlFor(link.shortId),
+      link.longUrl,
+      link.viewerCount || 0,
+      (link.tags || []).join(";"),
+      link.aiSummary,
+      (link.aiTags || []).join(";"),
+      link.aiSafetyRating,
+      link.aiSafetyJustification,
+      link.aiClassification?.category,
+      link.aiClassification?.confidence,
+      link.analysisStatus,
+      (link.collections || [])
+        .map((id) => names.get(id.toString()))
+        .filter(Boolean)
+        .join(";"),
+      link.createdAt,
+    ];
+    await write(stream, row.map(escapeCsv).join(",") + "\n");
+    count += 1;
+  }
+
+  await closeStream(stream);
+  return count;
+};
+
+const writeBookmarkLink = (stream, link, indent) => {
+  const tags = [...(link.tags || []), ...(link.aiTags || [])].join(",");
+  let entry =
+    `${indent}<DT><A HREF="${escapeHtml(link.longUrl)}"` +
+    ` ADD_DATE="${toUnixSeconds(link.createdAt)}"` +
+    ` TAGS="${escapeHtml(tags)}">${escapeHtml(link.longUrl)}</A>\n`;
+  if (link.aiSummary) {
+    entry += `${indent}<DD>${escapeHtml(link.aiSummary)}\n`;
+  }
+  return write(stream, entry);
+};
+
+// Netscape bookmark file: one folder per collection, nested by `parent`
+const writeHtmlExport = async (filePath, userId, collections) => {
+  const stream = fs.createWriteStream(filePath);
+  await write(
+    stream,
+    "<!DOCTYPE NETSCAPE-Bookmark-file-1>\n" +
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">\n' +
+      "<TITLE>Linkly Bookmarks</TITLE>\n<H1>Linkly Bookmarks</H1>\n<DL><p>\n"
+  );
+
+  const childrenOf = new Map();
+  for (const collection of collections) {
+    const key = collection.parent ? collection.parent.toString() : "root";
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(collection);
+  }
+
+  const writeFolder = async (collection, depth) => {
+    const indent = "    ".repeat(depth);
+    await write(
+      stream,
+      `${indent}<DT><H3 ADD_DATE="${toUnixSeconds(collection.createdAt)}">` +
+        `${escapeHtml(collection.name)}</H3>\n${indent}<DL><p>\n`
+    );
+    for (const child of childrenOf.get(collection._id.toString()) || []) {
+      await writeFolder(child, depth + 1);
+    }
+    for await (const link of linkCursor(userId, {
+      collections: collection._id,
+    })) {
+      await writeBookmarkLink(stream, link, indent + "    ");
+    }
+    await write(stream, `${indent}</DL><p>\n`);
+  };
+
+  for (const collection of childrenOf.get("root") || []) {
+    await writeFolder(collection, 1);
+  }
+
+  // Links that aren't in any collection sit at the top level
+  for await (const link of linkCursor(userId, {
+    collections: { $size: 0 },
+  })) {
+    await writeBookmarkLink(stream, link, "    ");
+  }
+
+  await write(stream, "</DL><p>\n");
+  await closeStream(stream);
+};
+
+// Worker entry point: write every requested format to EXPORT_DIR
+export const processExportJob = async (exportId) => {
+  const exportJob = await ExportJob.findById(exportId);
+  if (!exportJob) throw new Error(`Export ${exportId} not found`);
+
+  exportJob.status = "PROCESSING";
+  await exportJob.save();
+
+  const userId = exportJob.owner;
+  const jobDir = path.join(EXPORT_DIR, exportJob._id.toString());
+
+  try {
+    await fs.promises.mkdir(jobDir, { recursive: true });
+
+    // Collections are few per user, so the hierarchy is loaded up front;
+    // links are always streamed from a cursor.
+    const collections = await Collection.find({ owner: userId })
+      .sort({ name: 1 })
+      .select("name description color parent isPublic isSystem links createdAt")
+      .lean();
+    const names = new Map(
+      collections.map((collection) => [
+        collection._id.toString(),
+        collection.name,
+      ])
+    );
+
+    const files = [];
+    let linkCount = 0;
+    for (const format of exportJob.formats) {
+      const filePath = path.join(jobDir, FILE_NAMES[format]);
+      if (format === "json") {
+        linkCount = await writeJsonExport(filePath, userId, collections, names);
+      } else if (format === "csv") {
+        linkCount = await writeCsvExport(filePath, userId, names);
+      } else {
+        await writeHtmlExport(filePath, userId, collections);
+      }
+      const { size } = await fs.promises.stat(filePath);
+      files.push({
+        format,
+        fileName: FILE_NAMES[format],
+        path: filePath,
+        size,
+      });
+    }
+
+    exportJob.files = files;
+    exportJob.linkCount = linkCount;
+    exportJob.collectionCount = collections.length;
+    exportJob.status = "COMPLETED";
+    exportJob.completedAt = new Date();
+    exportJob.expiresAt = new Date(Date.now() + EXPORT_RETENTION_MS);
+    await exportJob.save();
+  } catch (error) {
+    exportJob.status = "FAILED";
+    exportJob.error = error.message;
+    await exportJob.save();
+    await fs.promises.rm(jobDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  console.log(`Export ${exportId} completed for user ${userId}`);
+  return { linkCount: exportJob.linkCount };
+};
+
+// Maintenance: delete export files past their retention window
+export const purgeExpiredExports = async () => {
+  const expired = await ExportJob.find({
+    status: "COMPLETED",
+    expiresAt: { $lte: new Date() },
+  });
+
+  for (const exportJob of expired) {
+    await fs.promises.rm(path.join(EXPORT_DIR, exportJob._id.toString()), {
+      recursive: true,
+      force: true,
+    });
+    exportJob.status = "EXPIRED";
+    exportJob.files = [];
+    await exportJob.save();
+  }
+
+  return expired.length;
+};
@@ -0,0 +1,56 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import { OAuth2Client } from "google-auth-library";
+import { ApiError } from "../utilities/ApiError.js";
+
+const getClientId = () =>
+  process.env.GOOGLE_CLIENT_ID || process.env.REACT_APP_GOOGLE_CLIENT_ID;
+
+const client = new OAuth2Client();
+
+// Check the ID token's signature, audience, issuer and expiry against
+// Google's keys and return the identity it asserts
+export const verifyGoogleIdToken = async (idToken) => {
+  if (!idToken || typeof idToken !== "string") {
+    throw new ApiError(400, "Google ID token is required");
+  }
+
+  const clientId = getClientId();
+  if (!clientId) {
+    throw new ApiError(500, "Google sign-in is not configured");
+  }
+
+  let payload;
+  try {
+    const ticket = await client.verifyIdToken({ idToken, audience: clientId });
+    payload = ticket.getPayload();
+  } catch (error) {
+    throw new ApiError(401, "Invalid Google ID token");
+  }
+
+  if (!payload || !payload.sub || !payload.email) {
+    throw new ApiError(401, "Invalid Google ID token");
+  }
+  if (!payload.email_verified) {
+    throw new ApiError(401, "Google account email is not verified");
+  }
+
+  return {
+    googleId: payload.sub,
+    email: payload.email,
+    name: payload.name,
+  };
+};
+
+// Accounts created by the old Google flow all share the GOOGLE_AUTH_PASSWORD
+// hash. They were only ever reachable through Google, so a verified token
+// for the same email may claim them without the linking step.
+export const isLegacyGoogleAccount = async (user) => {
+  if (!process.env.GOOGLE_AUTH_PASSWORD || user.googleId) return false;
+  return bcrypt.compare(process.env.GOOGLE_AUTH_PASSWORD, user.password);
+};
+
+// Password for accounts that only sign in with Google. Nobody knows it, so
+// password login stays closed for them.
+export const createUnusablePasswordHash = () =>
+  bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
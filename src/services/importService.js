@@ -0,0 +1,212 @@
+import { parse } from "csv-parse/sync";
+import { Collection } from "../models/Collection.js";
+import { ImportJob } from "../models/ImportJob.js";
+import { ApiError } from "../utilities/ApiError.js";
+import { createLinkForUser } from "./linkService.js";
+
+export const MAX_IMPORT_ROWS = 5000;
+// Persist progress every N rows so the status endpoint stays current
+const PROGRESS_SAVE_INTERVAL = 25;
+
+// Accept a few common header spellings for each column
+const COLUMN_ALIASES = {
+  longUrl: ["longurl", "url", "long_url", "link", "oldlink"],
+  customShortId: ["customshortid", "shortid", "short_id", "custom_short_id"],
+  tags: ["tags", "tag"],
+  collections: ["collections", "collection", "collection_name"],
+};
+
+// Multi-valued CSV cells use ";" or "|" as separators
+const splitList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) {
+    return value.map((item) => String(item).trim()).filter(Boolean);
+  }
+  return String(value)
+    .split(/[;|]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+const normalizeRow = (raw) => {
+  const lookup = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    lookup[key.trim().toLowerCase()] = value;
+  }
+  const pick = (field) => {
+    const alias = COLUMN_ALIASES[field].find((name) => lookup[name] != null);
+    return alias ? lookup[alias] : undefined;
+  };
+
+  const customShortId = pick("customShortId");
+  return {
+    longUrl: pick("longUrl") ? String(pick("longUrl")).trim() : null,
+    customShortId: customShortId ? String(customShortId).trim() : null,
+    tags: splitList(pick("tags")),
+    collections: splitList(pick("collections")),
+  };
+};
+
+export const detectImportFormat = (file) => {
+  const name = (file.originalname || "").toLowerCase();
+  if (file.mimetype === "application/json" || name.endsWith(".json")) {
+    return "json";
+  }
+  if (
+    ["text/csv", "application/vnd.ms-excel", "text/plain"].includes(
+      file.mimetype
+    ) ||
+    name.endsWith(".csv")
+  ) {
+    return "csv";
+  }
+  return null;
+};
+
+// Parse an uploaded CSV or JSON file into normalized import rows
+export const parseImportFile = (buffer, format) => {
+  let records;
+  try {
+    if (format === "json") {
+      const parsed = JSON.parse(buffer.toString("utf8"));
+      records = Array.isArray(parsed) ? parsed : parsed.links;
+    } else {
+      records = parse(buffer, {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        bom: true,
+      });
+    }
+  } catch (error) {
+    throw new ApiError(400, `Could not parse ${format} file: ${error.message}`);
+  }
+
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new ApiError(400, "The import file does not contain any links.");
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(
+      400,
+      `Cannot import more than ${MAX_IMPORT_ROWS} links at once.`
+    );
+  }
+
+  return records.map((record) =>
+    typeof record === "string"
+      ? normalizeRow({ url: record })
+      : normalizeRow(record)
+  );
+};
+
+// Find a user's collection by name, creating it on first use
+const resolveCollection = async (userId, name, cache) => {
+  const key = name.toLowerCase();
+  if (cache.has(key)) return cache.get(key);
+
+  if (name.length > 100 || /[<>\"'&]/.test(name)) {
+    throw new Error(`Invalid collection name: ${name}`);
+  }
+
+  let collection = await Collection.findOne({ owner: userId, name });
+  if (!collection) {
+    collection = await Collection.create({ name, owner: userId, links: [] });
+  }
+  cache.set(key, collection._id);
+  return collection._id;
+};
+
+const saveProgress = (importJob) =>
+  ImportJob.updateOne(
+    { _id: importJob._id },
+    {
+      $set: {
+        processedRows: importJob.processedRows,
+        createdCount: importJob.createdCount,
+        failedCount: importJob.failedCount,
+        results: importJob.results,
+      },
+    }
+  );
+
+// Worker entry point: create every row's link and record the outcome
+export const processImportJob = async (importId, job) => {
+  const importJob = await ImportJob.findById(importId).select("+rows");
+  if (!importJob) throw new Error(`Import ${importId} not found`);
+
+  importJob.status = "PROCESSING";
+  importJob.processedRows = 0;
+  importJob.createdCount = 0;
+  importJob.failedCount = 0;
+  importJob.results = [];
+  await importJob.save();
+
+  const collectionCache = new Map();
+  const userId = importJob.owner;
+
+  try {
+    for (const [index, row] of importJob.rows.entries()) {
+      const result = { row: index + 1, longUrl: row.longUrl };
+      try {
+        const collectionIds = [];
+        for (const name of row.collections || []) {
+          collectionIds.push(
+            await resolveCollection(userId, name, collectionCache)
+          );
+        }
+
+        const link = await createLinkForUser(userId, {
+          longUrl: row.longUrl,
+          customShortId: row.customShortId,
+          tags: row.tags || [],
+          collections: collectionIds,
+        });
+
+        if (collectionIds.length > 0) {
+          await Collection.updateMany(
+            { _id: { $in: collectionIds }, owner: userId },
+            { $addToSet: { links: link._id } }
+          );
+        }
+
+        Object.assign(result, {
+          status: "CREATED",
+          shortId: link.shortId,
+          link: link._id,
+        });
+        importJob.createdCount += 1;
+      } catch (error) {
+        Object.assign(result, { status: "FAILED", error: error.message });
+        importJob.failedCount += 1;
+      }
+
+      importJob.results.push(result);
+      importJob.processedRows += 1;
+
+      if (importJob.processedRows % PROGRESS_SAVE_INTERVAL === 0) {
+        await saveProgress(importJob);
+        await job?.updateProgress(
+          Math.round((importJob.processedRows / importJob.totalRows) * 100)
+        );
+      }
+    }
+
+    importJob.status = "COMPLETED";
+    importJob.rows = []; // Free the raw rows once they're processed
+  } catch (error) {
+    importJob.status = "FAILED";
+    importJob.error = error.message;
+    throw error;
+  } finally {
+    importJob.completedAt = new Date();
+    await importJob.save();
+  }
+
+  console.log(
+    `Import ${importId}: ${importJob.createdCount} created, ${importJob.failedCount} failed`
+  );
+  return {
+    createdCount: importJob.createdCount,
+    failedCount: importJob.failedCount,
+  };
+};
@@ -0,0 +1,56 @@
+import bcrypt from "bcrypt";
+import jwt from "jsonwebtoken";
+import { ApiError } from "../utilities/ApiError.js";
+
+// How long a successful unlock lets the visitor through, in seconds
+const UNLOCK_TTL_SECONDS = 10 * 60;
+
+const unlockCookieName = (shortId) => `linkly_unlock_${shortId}`;
+
+// Hash the optional password sent to addurl / editLongUrl.
+// Returns undefined when no password was sent, null to remove protection.
+export const hashLinkPassword = async (password) => {
+  if (password === undefined) return undefined;
+  if (password === null || password === "") return null;
+
+  if (typeof password !== "string" || password.length < 4) {
+    throw new ApiError(400, "Link password must be at least 4 characters.");
+  }
+  if (password.length > 128) {
+    throw new ApiError(400, "Link password cannot exceed 128 characters.");
+  }
+
+  return bcrypt.hash(password, 10);
+};
+
+export const verifyLinkPassword = async (password, hash) => {
+  if (!password || typeof password !== "string" || !hash) return false;
+  return bcrypt.compare(password, hash);
+};
+
+// Short-lived signed cookie scoped to this one short link
+export const issueUnlockCookie = (res, shortId) => {
+  const token = jwt.sign(
+    { shortId, scope: "link-unlock" },
+    process.env.JWT_KEY,
+    { expiresIn: UNLOCK_TTL_SECONDS }
+  );
+  res.cookie(unlockCookieName(shortId), token, {
+    path: `/linkly/${shortId}`,
+    httpOnly: true,
+    sameSite: "Lax",
+    secure: process.env.NODE_ENV === "production",
+    maxAge: UNLOCK_TTL_SECONDS * 1000,
+  });
+};
+
+export const hasValidUnlockCookie = (req, shortId) => {
+  const token = req.cookies?.[unlockCookieName(shortId)];
+  if (!token) return false;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_KEY);
+    return decoded.scope === "link-unlock" && decoded.shortId === shortId;
+  } catch (error) {
+    return false;
+  }
+};
@@ -0,0 +1,225 @@
+import crypto from "crypto";
+import redisClient from "../db/redis.js";
+import { Link } from "../models/Link.js";
+import { User } from "../models/User.js";
+import { analysisQueue } from "../jobs/queue.js";
+import { fetchStaticText } from "./contentExtractor.js";
+import { screenUrl } from "./reputationService.js";
+
+// Periodic re-checks of analyzed links: is the destination still up, has its
+// content changed, and does it still pass the reputation rules. Material
+// content changes queue a fresh AI analysis.
+
+const HOUR = 60 * 60 * 1000;
+const RECHECK_INTERVALS = {
+  Free: (Number(process.env.LINK_RECHECK_FREE_HOURS) || 7 * 24) * HOUR,
+  Premium: (Number(process.env.LINK_RECHECK_PREMIUM_HOURS) || 24) * HOUR,
+};
+// Links queued per sweep, so a backlog drains over several runs
+const RECHECK_BATCH_SIZE = 200;
+// SimHash bits that may differ before a change counts as material
+const MATERIAL_CHANGE_BITS = 10;
+const MAX_HEALTH_CHANGES = 50;
+const MAX_SAFETY_HISTORY = 20;
+
+// --- Content fingerprints ---
+
+export const hashContent = (text) =>
+  crypto.createHash("sha256").update(text).digest("hex");
+
+// 64-bit SimHash over word 3-grams: near-identical texts (a changed date or
+// counter) differ in a few bits, rewritten pages in many
+export const simHash = (text) => {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const weights = new Array(64).fill(0);
+  for (let i = 0; i + 3 <= Math.max(words.length, 3); i++) {
+    const shingle = words.slice(i, i + 3).join(" ");
+    const hash = crypto.createHash("md5").update(shingle).digest();
+    const bits = hash.readBigUInt64BE(0);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (bits >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+  let fingerprint = 0n;
+  weights.forEach((weight, bit) => {
+    if (weight > 0) fingerprint |= 1n << BigInt(bit);
+  });
+  return fingerprint.toString(16).padStart(16, "0");
+};
+
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+// --- History helpers ---
+
+const pushCapped = (list, entry, max) => {
+  list.push(entry);
+  if (list.length > max) list.splice(0, list.length - max);
+};
+
+// Snapshot the link's current verdicts into safetyHistory; the caller saves
+export const recordSafetyHistory = (link, source) => {
+  pushCapped(
+    link.safetyHistory,
+    {
+      aiSafetyRating: link.aiSafetyRating,
+      aiSafetyJustification: link.aiSafetyJustification,
+      category: link.aiClassification?.category,
+      reputationVerdict: link.reputation?.verdict || null,
+      source,
+      recordedAt: new Date(),
+    },
+    MAX_SAFETY_HISTORY
+  );
+};
+
+const isPremium = (user, now = new Date()) =>
+  user?.subscription === "Premium" &&
+  (!user.endDateOfSubscription || new Date(user.endDateOfSubscription) > now);
+
+export const getNextCheckAt = async (ownerId, now = new Date()) => {
+  const owner = await User.findById(ownerId)
+    .select("subscription endDateOfSubscription")
+    .lean();
+  const interval = isPremium(owner, now)
+    ? RECHECK_INTERVALS.Premium
+    : RECHECK_INTERVALS.Free;
+  return new Date(now.getTime() + interval);
+};
+
+// Maintenance job: queue a recheck-link job for every link that is due.
+// The job ID includes the due time so a link is queued once per slot.
+export const queueDueRechecks = async () => {
+  const now = new Date();
+  const due = await Link.find({
+    isActive: true,
+    analysisStatus: { $ne: "PENDING" },
+    $or: [
+      { "health.nextCheckAt": { $lte: now } },
+      { "health.nextCheckAt": null },
+    ],
+  })
+    .sort({ "health.nextCheckAt": 1 })
+    .limit(RECHECK_BATCH_SIZE)
+    .select("_id health.nextCheckAt")
+    .lean();
+
+  for (const link of due) {
+    const slot = link.health?.nextCheckAt
+      ? new Date(link.health.nextCheckAt).getTime()
+      : 0;
+    await analysisQueue.add(
+      "recheck-link",
+      { linkId: link._id.toString() },
+      { jobId: `recheck:${link._id}:${slot}` }
+    );
+  }
+
+  if (due.length > 0) {
+    console.log(`Queued ${due.length} links for re-checking`);
+  }
+  return due.length;
+};
+
+// Worker entry point for recheck-link jobs
+export const recheckLink = async (linkId) => {
+  const link = await Link.findById(linkId);
+  if (!link || !link.isActive) return { skipped: "link gone or inactive" };
+
+  const now = new Date();
+  const health = link.health;
+  const previousStatus = health.statusCode;
+  const previousVerdict = link.reputation?.verdict || null;
+
+  const { reputation, chain, fetchable } = await screenUrl(link.longUrl);
+  link.reputation = reputation;
+  if (chain) link.redirectChain = { ...chain, resolvedAt: now };
+
+  // Flagged or refused destinations are not requested, so their last known
+  // status stands
+  const requested = !!chain && !chain.stopped;
+  const statusCode = requested
+    ? chain.hops[chain.hops.length - 1].statusCode
+    : null;
+  const reachable = statusCode !== null && statusCode < 400;
+  if (requested) {
+    health.statusCode = statusCode;
+    health.reachable = reachable;
+    health.consecutiveFailures = reachable
+      ? 0
+      : (health.consecutiveFailures || 0) + 1;
+    if (statusCode !== previousStatus && health.lastCheckedAt) {
+      pushCapped(
+        health.changes,
+        { type: "STATUS", from: previousStatus, to: statusCode, at: now },
+        MAX_HEALTH_CHANGES
+      );
+    }
+  }
+
+  let materialChange = false;
+  if (reachable && fetchable) {
+    try {
+      const { text } = await fetchStaticText(chain.finalUrl);
+      if (text) {
+        const contentHash = hashContent(text);
+        const fingerprint = simHash(text);
+        if (health.contentHash && contentHash !== health.contentHash) {
+          const distance = hammingDistance(fingerprint, health.simHash);
+          materialChange = distance > MATERIAL_CHANGE_BITS;
+          pushCapped(
+            health.changes,
+            {
+              type: "CONTENT",
+              from: health.contentHash,
+              to: contentHash,
+              distance,
+              material: materialChange,
+              at: now,
+            },
+            MAX_HEALTH_CHANGES
+          );
+          health.lastChangedAt = now;
+        }
+        health.contentHash = contentHash;
+        health.simHash = fingerprint;
+      }
+    } catch (error) {
+      console.warn(`Content check failed for link ${link._id}:`, error.message);
+    }
+  }
+
+  // A page that came back after being down is worth a fresh look too
+  const recovered =
+    reachable && previousStatus !== null && previousStatus >= 400;
+
+  health.lastCheckedAt = now;
+  health.nextCheckAt = await getNextCheckAt(link.owner, now);
+  if (link.reputation.verdict !== previousVerdict) {
+    recordSafetyHistory(link, "RECHECK");
+  }
+
+  const reanalyze = (materialChange || recovered) && fetchable;
+  if (materialChange && link.moderation?.status === "FALSE_POSITIVE") {
+    // The reviewed content is gone; let new flags reach the queue again
+    link.moderation.status = null;
+  }
+  await link.save();
+  await redisClient.del(`link:${link.shortId}`);
+
+  if (reanalyze) {
+    await analysisQueue.add("analyze-link", {
+      linkId: link._id,
+      reason: materialChange ? "CONTENT_CHANGED" : "RECOVERED",
+    });
+  }
+
+  return { statusCode, materialChange, reanalyze };
+};
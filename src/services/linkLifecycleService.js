@@ -0,0 +1,148 @@
+import redisClient from "../db/redis.js";
+import { Link } from "../models/Link.js";
+import { ApiError } from "../utilities/ApiError.js";
+
+// Default lifetime of a cached `link:<shortId>` entry, in seconds
+export const LINK_CACHE_TTL = 3600;
+
+// Returns "DATE", "CLICKS" or null depending on why a link is no longer usable
+export const getExpiryReason = (link, now = new Date()) => {
+  if (link.expiresAt && new Date(link.expiresAt) <= now) return "DATE";
+  if (link.maxClicks && (link.viewerCount || 0) >= link.maxClicks) {
+    return "CLICKS";
+  }
+  if (link.isActive === false) return link.expiredReason || "DATE";
+  return null;
+};
+
+export const isLinkExpired = (link, now = new Date()) =>
+  getExpiryReason(link, now) !== null;
+
+// Cache TTL capped so the entry never outlives the link's expiry date
+export const getLinkCacheTtl = (link, now = new Date()) => {
+  if (!link.expiresAt) return LINK_CACHE_TTL;
+  const secondsLeft = Math.floor(
+    (new Date(link.expiresAt).getTime() - now.getTime()) / 1000
+  );
+  return Math.min(LINK_CACHE_TTL, secondsLeft);
+};
+
+// Cache a link object under `link:<shortId>`, respecting its expiry
+export const cacheLink = async (link) => {
+  const ttl = getLinkCacheTtl(link);
+  if (ttl <= 0) return;
+  await redisClient.set(`link:${link.shortId}`, JSON.stringify(link), {
+    EX: ttl,
+  });
+};
+
+// Plain link object for a public /linkly/:web_id route: the cached copy, or
+// the database one (which is then cached). Throws a 404 if there is none.
+export const getLinkByShortId = async (shortId) => {
+  // 1. Check Redis for the full link object
+  const cachedData = await redisClient.get(`link:${shortId}`);
+  if (cachedData) {
+    // 2a. CACHE HIT: Parse the JSON string from the cache
+    return JSON.parse(cachedData);
+  }
+
+  // 2b. CACHE MISS: Query the database
+  const link = await Link.findOne({ shortId });
+  if (!link) {
+    throw new ApiError(404, "Link not found");
+  }
+
+  // 3. Cache the entire link object as a JSON string (TTL capped by expiry)
+  // We use toObject() to get a plain JS object to avoid caching Mongoose methods
+  const linkData = link.toObject();
+  await cacheLink(linkData);
+  return linkData;
+};
+
+// Validate the optional lifecycle settings sent to addurl / editLongUrl.
+// Only keys present in the body are returned, so callers can spread the
+// result into an update. `null` clears a setting.
+export const parseLifecycleSettings = (body = {}) => {
+  const settings = {};
+
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null || body.expiresAt === "") {
+      settings.expiresAt = null;
+    } else {
+      const expiresAt = new Date(body.expiresAt);
+      if (isNaN(expiresAt.getTime())) {
+        throw new ApiError(400, "expiresAt must be a valid date.");
+      }
+      if (expiresAt <= new Date()) {
+        throw new ApiError(400, "expiresAt must be in the future.");
+      }
+      settings.expiresAt = expiresAt;
+    }
+  }
+
+  if (body.maxClicks !== undefined) {
+    if (body.maxClicks === null || body.maxClicks === "") {
+      settings.maxClicks = null;
+    } else {
+      const maxClicks = Number(body.maxClicks);
+      if (!Number.isInteger(maxClicks) || maxClicks < 1) {
+        throw new ApiError(400, "maxClicks must be a positive integer.");
+      }
+      settings.maxClicks = maxClicks;
+    }
+  }
+
+  if (body.fallbackUrl !== undefined) {
+    if (body.fallbackUrl === null || body.fallbackUrl === "") {
+      settings.fallbackUrl = null;
+    } else if (
+      typeof body.fallbackUrl !== "string" ||
+      (!body.fallbackUrl.startsWith("http://") &&
+        !body.fallbackUrl.startsWith("https://"))
+    ) {
+      throw new ApiError(
+        400,
+        "Invalid fallback URL: URL must start with 'http://' or 'https://'"
+      );
+    } else {
+      settings.fallbackUrl = body.fallbackUrl;
+    }
+  }
+
+  return settings;
+};
+
+// Mark a link inactive and drop it from the redirect cache
+export const deactivateLink = async (shortId, reason) => {
+  await Link.updateOne(
+    { shortId, isActive: true },
+    { $set: { isActive: false, expiredReason: reason } }
+  );
+  await redisClient.del(`link:${shortId}`);
+};
+
+// Background sweep: deactivate every link past its date or click limit
+export const sweepExpiredLinks = async () => {
+  const now = new Date();
+  const expired = await Link.find({
+    isActive: true,
+    $or: [
+      { expiresAt: { $ne: null, $lte: now } },
+      {
+        maxClicks: { $ne: null },
+        $expr: { $gte: ["$viewerCount", "$maxClicks"] },
+      },
+    ],
+  })
+    .select("shortId expiresAt maxClicks viewerCount")
+    .lean();
+
+  for (const link of expired) {
+    await deactivateLink(link.shortId, getExpiryReason(link, now));
+  }
+
+  if (expired.length > 0) {
+    console.log(`Marked ${expired.length} expired links inactive`);
+  }
+  return expired.length;
+};
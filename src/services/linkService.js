@@ -0,0 +1,112 @@
+import { Link } from "../models/Link.js";
+import { analysisQueue } from "../jobs/queue.js";
+import { ApiError } from "../utilities/ApiError.js";
+import { emitWebhookEvent, linkWebhookData } from "./webhookService.js";
+import { evaluateUrlReputation } from "./reputationService.js";
+
+// Improved short ID generation function
+export const generateShortId = async (length = 7) => {
+  const maxRetries = 10;
+  const chars = "abcdefghijklmnopqrstuvwxyz0123456789";
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    // Generate random string
+    let shortId = "";
+    for (let i = 0; i < length; i++) {
+      shortId += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+
+    // Check if it already exists
+    const existingLink = await Link.findOne({ shortId });
+    if (!existingLink) {
+      return shortId;
+    }
+
+    // If we're on the last attempt, try with a longer ID
+    if (attempt === maxRetries) {
+      return await generateShortId(length + 1);
+    }
+
+    // Add a small delay to avoid overwhelming the database
+    if (attempt > 5) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  // Fallback: generate with timestamp to ensure uniqueness
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substring(2, 4);
+  return `${timestamp}${random}`.substring(0, length);
+};
+
+// Validate a user-chosen short ID and make sure it's still free
+export const validateCustomShortId = async (customShortId) => {
+  if (customShortId.length < 3 || customShortId.length > 20) {
+    throw new ApiError(
+      400,
+      "Custom short ID must be between 3 and 20 characters"
+    );
+  }
+
+  // Check if custom short ID contains only valid characters
+  if (!/^[a-zA-Z0-9_-]+$/.test(customShortId)) {
+    throw new ApiError(
+      400,
+      "Custom short ID can only contain letters, numbers, hyphens, and underscores"
+    );
+  }
+
+  // Check if custom short ID already exists
+  const existingCustomLink = await Link.findOne({ shortId: customShortId });
+  if (existingCustomLink) {
+    throw new ApiError(400, "Custom short ID already exists");
+  }
+
+  return customShortId;
+};
+
+// Create a link for a user and queue it for AI analysis. Shared by addurl
+// and the bulk importer so both apply the same rules.
+export const createLinkForUser = async (
+  userId,
+  { longUrl, customShortId, ...fields }
+) => {
+  if (
+    !longUrl ||
+    typeof longUrl !== "string" ||
+    (!longUrl.startsWith("http://") && !longUrl.startsWith("https://"))
+  ) {
+    throw new ApiError(
+      400,
+      "Invalid URL: URL must start with 'http://' or 'https://'"
+    );
+  }
+
+  // Check if link already exists for this user
+  const existingLink = await Link.findOne({ longUrl, owner: userId });
+  if (existingLink) {
+    throw new ApiError(400, "Link already exists for this user");
+  }
+
+  const shortId = customShortId
+    ? await validateCustomShortId(customShortId)
+    : await generateShortId();
+
+  const newLink = new Link({
+    shortId,
+    longUrl,
+    owner: userId,
+    ...fields,
+    // URL-only check so the redirect warning applies before analysis runs
+    reputation: await evaluateUrlReputation(longUrl),
+  });
+
+  await newLink.save();
+
+  // Add a job to the queue to analyze this link in the background
+  await analysisQueue.add("analyze-link", { linkId: newLink._id });
+
+  await emitWebhookEvent(userId, "link.created", linkWebhookData(newLink));
+
+  return newLink;
+};
@@ -0,0 +1,193 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { ChatOpenAI } from "@langchain/openai";
+import "dotenv/config";
+
+// Every provider implements `generateText(prompt) => Promise<string>`.
+// Rate-limit errors are rethrown with `status: 429` and, when the vendor
+// says so, `retryAfterSeconds`, so aiService can retry without knowing
+// which vendor it is talking to.
+
+const DEFAULT_MODELS = {
+  gemini: "gemini-1.5-flash-latest",
+  openai: "gpt-4o-mini",
+  stub: "stub-v1",
+};
+
+const createGeminiProvider = (model) => {
+  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  const generativeModel = genAI.getGenerativeModel({ model });
+
+  return {
+    name: "gemini",
+    model,
+    generateText: async (prompt) => {
+      try {
+        const result = await generativeModel.generateContent(prompt);
+        return result.response.text();
+      } catch (error) {
+        if (error.status === 429) {
+          // Gemini sends the suggested delay as a RetryInfo detail ("30s")
+          const retryDetails = error.errorDetails?.find(
+            (d) => d["@type"] === "type.googleapis.com/google.rpc.RetryInfo"
+          );
+          if (retryDetails) {
+            error.retryAfterSeconds = parseInt(
+              retryDetails.retryDelay.replace("s", ""),
+              10
+            );
+          }
+        }
+        throw error;
+      }
+    },
+  };
+};
+
+// Any server speaking the OpenAI chat completions API (OpenAI, Azure,
+// vLLM, Ollama, LM Studio, ...) via OPENAI_BASE_URL
+const createOpenAIProvider = (model) => {
+  const chat = new ChatOpenAI({
+    modelName: model,
+    openAIApiKey: process.env.OPENAI_API_KEY || "not-needed",
+    temperature: 0,
+    maxRetries: 0, // aiService owns the retry policy
+    configuration: process.env.OPENAI_BASE_URL
+      ? { baseURL: process.env.OPENAI_BASE_URL }
+      : undefined,
+  });
+
+  return {
+    name: "openai",
+    model,
+    generateText: async (prompt) => {
+      try {
+        const message = await chat.invoke(prompt);
+        return typeof message.content === "string"
+          ? message.content
+          : message.content.map((part) => part.text || "").join("");
+      } catch (error) {
+        if (error.status === 429 || error.response?.status === 429) {
+          error.status = 429;
+          const retryAfter = Number(error.headers?.["retry-after"]);
+          if (retryAfter) error.retryAfterSeconds = retryAfter;
+        }
+        throw error;
+      }
+    },
+  };
+};
+
+// --- Deterministic offline provider for local development and tests ---
+
+const STUB_UNSAFE_WORDS = [
+  "malware",
+  "virus",
+  "trojan",
+  "exploit",
+  "phishing",
+  "ransomware",
+];
+const STUB_STOP_WORDS = new Set(
+  "the and for that with this from are was were have has you your our not but can will all any its into about more than".split(
+    " "
+  )
+);
+
+// The page text is the last triple-quoted block of every prompt
+const extractPromptText = (prompt) => {
+  const parts = prompt.split('"""');
+  return parts.length >= 3 ? parts[parts.length - 2] : prompt;
+};
+
+const stubTags = (text) => {
+  const counts = new Map();
+  for (const word of text.toLowerCase().match(/[a-z]{4,}/g) || []) {
+    if (!STUB_STOP_WORDS.has(word))
+      counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 5)
+    .map(([word]) => word);
+};
+
+const stubAnalysis = (text) => {
+  const lower = text.toLowerCase();
+  const unsafe = STUB_UNSAFE_WORDS.find((word) => lower.includes(word));
+  return {
+    summary_and_tags: {
+      summary: text.trim().slice(0, 300),
+      tags: stubTags(text),
+    },
+    safety: unsafe
+      ? {
+          safety_rating: 2,
+          explanation: `Stub provider flagged the keyword "${unsafe}".`,
+        }
+      : {
+          safety_rating: 5,
+          explanation: "Stub provider found no unsafe keywords.",
+        },
+    classification: unsafe
+      ? {
+          category: "Scam/Phishing/Unsafe",
+          confidence: 0.9,
+          reason: `Stub provider flagged the keyword "${unsafe}".`,
+        }
+      : {
+          category: "Other",
+          confidence: 0.5,
+          reason: "Stub provider does not classify content.",
+        },
+  };
+};
+
+const createStubProvider = (model) => ({
+  name: "stub",
+  model,
+  generateText: async (prompt) => {
+    const analysis = stubAnalysis(extractPromptText(prompt));
+
+    // Answer in the shape the prompt asks for
+    if (prompt.includes('"summary_and_tags"')) {
+      return JSON.stringify(analysis);
+    }
+    if (prompt.includes("security and safety auditor")) {
+      return JSON.stringify(analysis.safety);
+    }
+    if (prompt.includes("web content classifier")) {
+      return JSON.stringify(analysis.classification);
+    }
+    if (prompt.includes("summarizes the content of webpages")) {
+      return JSON.stringify(analysis.summary_and_tags);
+    }
+    // Chunk summaries in the MapReduce pipeline are plain text
+    return analysis.summary_and_tags.summary;
+  },
+});
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  stub: createStubProvider,
+};
+
+let provider = null;
+
+// Chosen per deployment with LLM_PROVIDER (gemini, openai, stub) and LLM_MODEL
+export const getLlmProvider = () => {
+  if (!provider) {
+    const name = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(
+          PROVIDER_FACTORIES
+        ).join(", ")}`
+      );
+    }
+    provider = factory(process.env.LLM_MODEL || DEFAULT_MODELS[name]);
+    console.log(`Using LLM provider ${provider.name} (${provider.model})`);
+  }
+  return provider;
+};
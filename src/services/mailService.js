@@ -0,0 +1,57 @@
+import fs from "fs";
+import path from "path";
+
+// Outgoing mail goes through a transport: an object with an async
+// `send({ to, subject, text, html })`. MAIL_TRANSPORT picks one of the
+// registered transports; "file" (the default) and "console" work offline.
+const MAIL_DIR = path.resolve(process.env.MAIL_DIR || "mail-outbox");
+
+const consoleTransport = {
+  send: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+  },
+};
+
+// Writes each message to MAIL_DIR as JSON so flows can be followed locally
+const fileTransport = {
+  send: async (message) => {
+    await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(
+      /[^a-zA-Z0-9@._-]/g,
+      "_"
+    )}.json`;
+    const filePath = path.join(MAIL_DIR, fileName);
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+    console.log(`[mail] "${message.subject}" to ${message.to} -> ${filePath}`);
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+// Plug in another transport (SMTP, an email API, ...) under a name
+export const registerMailTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error("Mail transport must implement send(message)");
+  }
+  transports[name] = transport;
+};
+
+export const sendMail = async (message) => {
+  const name = process.env.MAIL_TRANSPORT || "file";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  await transport.send({
+    from: process.env.MAIL_FROM || "Linkly <no-reply@linkly.local>",
+    ...message,
+  });
+};
@@ -0,0 +1,141 @@
+import { ApiError } from "../utilities/ApiError.js";
+
+// Page metadata (title, description, preview image, favicon, ...) read from
+// <head>, preferring OpenGraph and Twitter card tags over the plain ones.
+
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_URL_LENGTH = 2048;
+
+const clean = (value, maxLength) => {
+  if (typeof value !== "string") return null;
+  const text = value.replace(/\s+/g, " ").trim();
+  return text ? text.slice(0, maxLength) : null;
+};
+
+// Relative hrefs are resolved against the page's final URL
+const absoluteUrl = (value, baseUrl) => {
+  if (!value) return null;
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    if (!["http:", "https:"].includes(url.protocol)) return null;
+    const href = url.toString();
+    return href.length <= MAX_URL_LENGTH ? href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const firstMeta = ($, names) => {
+  for (const name of names) {
+    const content = $(`meta[property="${name}"], meta[name="${name}"]`)
+      .first()
+      .attr("content");
+    if (content && content.trim()) return content;
+  }
+  return null;
+};
+
+const findFavicon = ($, baseUrl) => {
+  const icons = $("link[rel][href]")
+    .toArray()
+    .map((el) => ({
+      rel: ($(el).attr("rel") || "").toLowerCase().split(/\s+/),
+      href: $(el).attr("href"),
+    }));
+  const icon =
+    icons.find(({ rel }) => rel.includes("icon")) ||
+    icons.find(({ rel }) => rel.includes("apple-touch-icon"));
+  // Browsers fall back to /favicon.ico, so do the same
+  return absoluteUrl(icon ? icon.href : "/favicon.ico", baseUrl);
+};
+
+// `$` is a cheerio document of the page as fetched, before any content
+// extraction strips elements from it
+export const extractPageMetadata = ($, pageUrl) => {
+  const canonicalUrl = absoluteUrl(
+    $('link[rel="canonical"]').attr("href") || firstMeta($, ["og:url"]),
+    pageUrl
+  );
+
+  let siteName = firstMeta($, ["og:site_name", "application-name"]);
+  if (!siteName) {
+    try {
+      siteName = new URL(canonicalUrl || pageUrl).hostname.replace(
+        /^www\./,
+        ""
+      );
+    } catch (error) {
+      siteName = null;
+    }
+  }
+
+  const language =
+    $("html").attr("lang") ||
+    firstMeta($, ["og:locale", "language"]) ||
+    $('meta[http-equiv="content-language" i]').attr("content");
+
+  return {
+    title: clean(
+      firstMeta($, ["og:title", "twitter:title"]) || $("title").first().text(),
+      MAX_TITLE_LENGTH
+    ),
+    description: clean(
+      firstMeta($, ["description", "og:description", "twitter:description"]),
+      MAX_DESCRIPTION_LENGTH
+    ),
+    image: absoluteUrl(
+      firstMeta($, [
+        "og:image:secure_url",
+        "og:image",
+        "og:image:url",
+        "twitter:image",
+        "twitter:image:src",
+      ]),
+      pageUrl
+    ),
+    favicon: findFavicon($, pageUrl),
+    siteName: clean(siteName, MAX_TITLE_LENGTH),
+    // "en_US" (og:locale) and "en-US" both become "en-US"
+    language: clean(language, 35)?.replace("_", "-") || null,
+    canonicalUrl,
+  };
+};
+
+// Manual `title` / `description` from a request body, mapped to the
+// customTitle / customDescription fields. null or "" clears an override.
+export const parseMetadataOverrides = (body = {}) => {
+  const overrides = {};
+  const fields = [
+    ["title", "customTitle", MAX_TITLE_LENGTH],
+    ["description", "customDescription", MAX_DESCRIPTION_LENGTH],
+  ];
+
+  for (const [input, field, maxLength] of fields) {
+    const value = body[input];
+    if (value === undefined) continue;
+    if (value === null || value === "") {
+      overrides[field] = null;
+    } else if (typeof value !== "string" || value.trim().length > maxLength) {
+      throw new ApiError(
+        400,
+        `${input} must be a string of at most ${maxLength} characters.`
+      );
+    } else {
+      overrides[field] = value.trim() || null;
+    }
+  }
+
+  return overrides;
+};
+
+// Title and description as shown to the user: manual overrides win over
+// what was scraped. Works on documents and lean objects alike.
+export const withDisplayMetadata = (link) => {
+  const plain = typeof link.toJSON === "function" ? link.toJSON() : link;
+  return {
+    ...plain,
+    title: plain.customTitle || plain.metadata?.title || null,
+    description: plain.customDescription || plain.metadata?.description || null,
+  };
+};
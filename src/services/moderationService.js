@@ -0,0 +1,154 @@
+import redisClient from "../db/redis.js";
+import { ApiKey } from "../models/ApiKey.js";
+import { User } from "../models/User.js";
+import { ModerationAuditLog } from "../models/ModerationAuditLog.js";
+import { revokeAllSessions } from "./tokenService.js";
+
+// Snapshot of the verdicts an admin acted on, kept in the audit log
+const linkSnapshot = (link) => ({
+  shortId: link.shortId,
+  longUrl: link.longUrl,
+  finalUrl: link.redirectChain?.finalUrl || null,
+  aiSafetyRating: link.aiSafetyRating,
+  aiSafetyJustification: link.aiSafetyJustification,
+  aiCategory: link.aiClassification?.category,
+  reputationVerdict: link.reputation?.verdict || null,
+  reportCount: link.reports?.total || 0,
+  previousStatus: link.moderation?.status || null,
+});
+
+const recordAudit = (actorId, action, { link, targetUser, note, details }) =>
+  ModerationAuditLog.create({
+    actor: actorId,
+    action,
+    link: link?._id || null,
+    targetUser: targetUser || null,
+    note: note || "",
+    details,
+  });
+
+const setModerationStatus = async (link, status, actorId, note) => {
+  link.moderation = {
+    status,
+    reviewedBy: actorId,
+    reviewedAt: new Date(),
+    note: note || null,
+  };
+  // The decision covers the reports filed so far; new ones count afresh
+  link.reports.pending = 0;
+  link.reports.queuedAt = null;
+  await link.save();
+  // Redirects read the cached copy
+  await redisClient.del(`link:${link.shortId}`);
+};
+
+// Confirm a flagged link: visitors get the hard block page from now on
+export const blockLink = async (actorId, link, note) => {
+  const details = linkSnapshot(link);
+  await setModerationStatus(link, "BLOCKED", actorId, note);
+  await recordAudit(actorId, "BLOCK", {
+    link,
+    targetUser: link.owner,
+    note,
+    details,
+  });
+  return link;
+};
+
+// Clear a flag: no warning page, and the link shows in public collections
+export const markFalsePositive = async (actorId, link, note) => {
+  const details = linkSnapshot(link);
+  await setModerationStatus(link, "FALSE_POSITIVE", actorId, note);
+  await recordAudit(actorId, "FALSE_POSITIVE", {
+    link,
+    targetUser: link.owner,
+    note,
+    details,
+  });
+  return link;
+};
+
+// Disable the owner of an abusive link: no logins, every session and API
+// key revoked, and the link itself blocked. Returns the owner, or null if
+// the account no longer exists.
+export const disableLinkOwner = async (actorId, link, note) => {
+  const owner = await User.findById(link.owner);
+  if (!owner) return null;
+
+  const details = {
+    ...linkSnapshot(link),
+    ownerEmail: owner.email,
+    wasDisabled: !!owner.disabledAt,
+  };
+
+  owner.disabledAt = owner.disabledAt || new Date();
+  owner.disabledReason = note || "Disabled by moderation";
+  await owner.save();
+
+  details.sessionsRevoked = await revokeAllSessions(owner._id);
+  const { modifiedCount } = await ApiKey.updateMany(
+    { owner: owner._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  details.apiKeysRevoked = modifiedCount;
+
+  if (link.moderation?.status !== "BLOCKED") {
+    await setModerationStatus(link, "BLOCKED", actorId, note);
+  }
+  await recordAudit(actorId, "DISABLE_OWNER", {
+    link,
+    targetUser: owner._id,
+    note,
+    details,
+  });
+  return owner;
+};
+
+// Audit trail for the admin override on /loggedin/:user_id routes. Only
+// requests that can change data are recorded.
+export const recordAdminOverride = async (actorId, targetUserId, req) => {
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return;
+  await recordAudit(actorId, "ADMIN_OVERRIDE", {
+    targetUser: targetUserId,
+    details: { method: req.method, path: req.originalUrl.split("?")[0] },
+  });
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+
+// Served by handleRedirect for blocked links. Deliberately has no link to
+// the destination.
+export const renderBlockedPage = (shortId) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>Link blocked - Linkly</title>
+<style>
+body{font-family:system-ui,sans-serif;background:#f8f8f8;color:#222;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0}
+main{max-width:32rem;padding:2rem;background:#fff;border-radius:8px;box-shadow:0 1px 4px rgba(0,0,0,.1)}
+h1{color:#b00020;font-size:1.5rem;margin-top:0}
+</style>
+</head>
+<body>
+<main>
+<h1>This link has been blocked</h1>
+<p>The Linkly link <strong>${escapeHtml(
+  shortId
+)}</strong> was reviewed by our moderation team and found to lead to harmful content, such as phishing, malware or a scam.</p>
+<p>For your safety it can no longer be opened.</p>
+</main>
+</body>
+</html>`;
@@ -0,0 +1,43 @@
+import crypto from "crypto";
+import redisClient from "../db/redis.js";
+
+// Single-use, expiring tokens for links sent by email. Only a hash of the
+// token is stored, and redeeming it deletes it atomically.
+const tokenKey = (purpose, hash) => `one-time:${purpose}:${hash}`;
+const userTokenKey = (purpose, userId) => `one-time:${purpose}:user:${userId}`;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Issue a token for `purpose`, replacing any earlier one for the same user
+export const createOneTimeToken = async (purpose, userId, ttlSeconds) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const hash = hashToken(token);
+
+  const previousHash = await redisClient.get(userTokenKey(purpose, userId));
+  if (previousHash) {
+    await redisClient.del(tokenKey(purpose, previousHash));
+  }
+
+  await redisClient.set(tokenKey(purpose, hash), userId.toString(), {
+    EX: ttlSeconds,
+  });
+  await redisClient.set(userTokenKey(purpose, userId), hash, {
+    EX: ttlSeconds,
+  });
+
+  return token;
+};
+
+// Returns the user id the token was issued for, or null if it is unknown,
+// expired or already used
+export const consumeOneTimeToken = async (purpose, token) => {
+  if (!token || typeof token !== "string") return null;
+
+  const hash = hashToken(token);
+  const userId = await redisClient.getDel(tokenKey(purpose, hash));
+  if (userId) {
+    await redisClient.del(userTokenKey(purpose, userId));
+  }
+  return userId;
+};
@@ -0,0 +1,77 @@
+import redisClient from "../db/redis.js";
+import { Collection } from "../models/Collection.js";
+import { isLinkFlaggedUnsafe } from "./safetyService.js";
+
+// Public pages are cached briefly; revocation deletes the entry immediately
+const PUBLIC_CACHE_TTL = 60;
+
+const publicCacheKey = (slug) => `public:collection:${slug}`;
+
+// Drop a public page from the cache (call on unpublish, slug change, delete)
+export const invalidatePublicCollection = async (slug) => {
+  if (!slug) return;
+  try {
+    await redisClient.del(publicCacheKey(slug));
+  } catch (error) {
+    console.error(`Failed to invalidate public collection ${slug}:`, error);
+  }
+};
+
+const toPublicLink = (link) => ({
+  shortId: link.shortId,
+  shortUrl: `${process.env.REACT_APP_FRONTEND_URL}/linkly/${link.shortId}`,
+  // Never leak the destination of a password-protected link
+  longUrl: link.passwordProtected ? null : link.longUrl,
+  aiSummary: link.aiSummary,
+  aiTags: link.aiTags || [],
+  tags: link.tags || [],
+  category: link.aiClassification?.category || "Other",
+  createdAt: link.createdAt,
+});
+
+// Build the read-only view of a public collection, or null if not public
+export const getPublicCollection = async (slug) => {
+  const cached = await redisClient.get(publicCacheKey(slug));
+  if (cached) return JSON.parse(cached);
+
+  const collection = await Collection.findOne({ slug, isPublic: true })
+    .populate(
+      "links",
+      "shortId longUrl aiSummary aiTags tags aiSafetyRating aiClassification reputation moderation.status passwordProtected isActive createdAt"
+    )
+    .lean();
+
+  if (!collection) return null;
+
+  const children = await Collection.find({
+    parent: collection._id,
+    isPublic: true,
+    slug: { $exists: true },
+  })
+    .sort({ name: 1 })
+    .select("name slug description color")
+    .lean();
+
+  const view = {
+    name: collection.name,
+    slug: collection.slug,
+    description: collection.description,
+    color: collection.color,
+    children: children.map((child) => ({
+      name: child.name,
+      slug: child.slug,
+      description: child.description,
+      color: child.color,
+    })),
+    // Unsafe and deactivated links are never shown publicly
+    links: (collection.links || [])
+      .filter((link) => link.isActive !== false && !isLinkFlaggedUnsafe(link))
+      .map(toPublicLink),
+    updatedAt: collection.updatedAt,
+  };
+
+  await redisClient.set(publicCacheKey(slug), JSON.stringify(view), {
+    EX: PUBLIC_CACHE_TTL,
+  });
+  return view;
+};
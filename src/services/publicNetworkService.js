@@ -0,0 +1,103 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+// Outbound requests to user-supplied URLs (webhook deliveries, redirect-chain
+// resolution, page fetches) must only ever reach the public internet.
+
+// Loopback, private networks, link-local (cloud metadata endpoints), CGNAT,
+// unspecified and multicast. IPv4-mapped IPv6 addresses are matched against
+// the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+const isBlockedAddress = ({ address, family }) =>
+  BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+
+const privateAddressError = (message) => {
+  const error = new Error(message);
+  error.code = "EPRIVATEADDRESS";
+  return error;
+};
+
+// dns.lookup that refuses hosts resolving to a non-public address, failing
+// with code EPRIVATEADDRESS. As an agent's lookup it makes the address that
+// was checked the one connected to (no DNS rebinding in between).
+export const publicLookup = (hostname, options, callback) => {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked) {
+      return callback(
+        privateAddressError(
+          `${hostname} resolves to a non-public address (${blocked.address})`
+        )
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Node never calls `lookup` for a host that is already an IP address, so the
+// agents below can't refuse http://127.0.0.1/. Throws EPRIVATEADDRESS for such
+// URLs; call it before every request made with publicAgents.
+export const assertPublicUrl = (url) => {
+  // URL keeps IPv6 literals in brackets
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const family = net.isIP(hostname);
+  if (family && isBlockedAddress({ address: hostname, family })) {
+    throw privateAddressError(`${hostname} is not a public address`);
+  }
+};
+
+// Whether `url` is http(s) and its host, literal or resolved, is public. For
+// clients that can't use publicAgents, such as the headless browser.
+export const isPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) return false;
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  return new Promise((resolve) =>
+    publicLookup(hostname, {}, (error) => resolve(!error))
+  );
+};
+
+// axios agents that only connect to hosts resolving to public addresses; pair
+// with `proxy: false` so an environment proxy cannot bypass the lookup, and
+// with assertPublicUrl for IP literals
+export const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
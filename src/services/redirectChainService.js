@@ -0,0 +1,165 @@
+import axios from "axios";
+import * as cheerio from "cheerio";
+import { assertPublicUrl, publicAgents } from "./publicNetworkService.js";
+
+// Follows HTTP and <meta http-equiv="refresh"> redirects from a submitted
+// URL to the page that is actually served, recording every hop.
+
+const MAX_REDIRECT_HOPS = Number(process.env.REDIRECT_MAX_HOPS) || 10;
+const HOP_TIMEOUT_MS = 5000;
+// Meta refreshes live in <head>; no need to download the whole page
+const MAX_META_SCAN_BYTES = 256 * 1024;
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36";
+
+export const HOP_TYPES = {
+  HTTP: "HTTP", // 3xx with a Location header
+  META_REFRESH: "META_REFRESH",
+};
+
+// Rough registrable domain: "www.blog.example.co.uk" -> "example.co.uk".
+// Good enough to tell a same-site redirect from one that leaves the site.
+export const siteOf = (url) => {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase().replace(/\.$/, "");
+  } catch (error) {
+    return null;
+  }
+  if (/^[\d.]+$/.test(host) || host.startsWith("[")) return host;
+  const labels = host.split(".");
+  // Country-code second levels like co.uk, com.au
+  const keep =
+    labels.length > 2 &&
+    labels[labels.length - 1].length === 2 &&
+    labels[labels.length - 2].length <= 3
+      ? 3
+      : 2;
+  return labels.slice(-keep).join(".");
+};
+
+const readHead = (stream) =>
+  new Promise((resolve) => {
+    const chunks = [];
+    let size = 0;
+    const finish = () => {
+      stream.destroy();
+      resolve(Buffer.concat(chunks).toString("utf8"));
+    };
+    stream.on("data", (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= MAX_META_SCAN_BYTES) finish();
+    });
+    stream.on("end", finish);
+    stream.on("error", finish);
+  });
+
+// "5; url=https://example.com" -> "https://example.com"
+const parseMetaRefresh = (html) => {
+  const $ = cheerio.load(html);
+  const content = $('meta[http-equiv="refresh" i]').first().attr("content");
+  const match = content?.match(/url\s*=\s*['"]?([^'";]+)/i);
+  return match ? match[1].trim() : null;
+};
+
+// Request one URL without following anything. Returns
+// { statusCode, next, type } where `next` is where it points, if anywhere.
+const requestHop = async (url) => {
+  assertPublicUrl(url);
+  const response = await axios.get(url, {
+    maxRedirects: 0,
+    timeout: HOP_TIMEOUT_MS,
+    responseType: "stream",
+    headers: { "User-Agent": USER_AGENT },
+    ...publicAgents,
+    proxy: false,
+    validateStatus: () => true,
+  });
+
+  const { status, headers } = response;
+  if (status >= 300 && status < 400 && headers.location) {
+    response.data.destroy();
+    return {
+      statusCode: status,
+      next: headers.location,
+      type: HOP_TYPES.HTTP,
+    };
+  }
+
+  if (status < 300 && String(headers["content-type"]).includes("html")) {
+    const refresh = parseMetaRefresh(await readHead(response.data));
+    return {
+      statusCode: status,
+      next: refresh,
+      type: refresh ? HOP_TYPES.META_REFRESH : null,
+    };
+  }
+
+  response.data.destroy();
+  return { statusCode: status, next: null, type: null };
+};
+
+// Resolve the chain for `url`. `stopAt(url)` is consulted before each
+// request so that, e.g., blocklisted hosts are never contacted; private
+// addresses, literal or resolved, are refused before connecting.
+// Returns { hops: [{ url, statusCode, type }], finalUrl, domainChanged,
+// truncated, stopped }; the last hop is the final URL (statusCode null if it
+// was never fetched), and `stopped` is set if it was refused.
+export const resolveRedirectChain = async (url, { stopAt } = {}) => {
+  const hops = [];
+  const visited = new Set();
+  let current = url;
+  let truncated = false;
+  let stopped = false;
+
+  while (true) {
+    const hop = { url: current, statusCode: null, type: null };
+    hops.push(hop);
+
+    if (visited.has(current)) {
+      truncated = true; // Redirect loop
+      break;
+    }
+    visited.add(current);
+    if (hops.length > MAX_REDIRECT_HOPS) {
+      truncated = true;
+      break;
+    }
+    if (stopAt && (await stopAt(current))) {
+      stopped = true;
+      break;
+    }
+
+    let result;
+    try {
+      result = await requestHop(current);
+    } catch (error) {
+      stopped = error.code === "EPRIVATEADDRESS";
+      break; // Unreachable: the chain so far is all we know
+    }
+    hop.statusCode = result.statusCode;
+    if (!result.next) break;
+
+    let next;
+    try {
+      next = new URL(result.next, current);
+    } catch (error) {
+      break;
+    }
+    if (!["http:", "https:"].includes(next.protocol)) break;
+    hop.type = result.type;
+    current = next.toString();
+  }
+
+  const finalUrl = hops[hops.length - 1].url;
+  const sites = new Set(hops.map((hop) => siteOf(hop.url)).filter(Boolean));
+
+  return {
+    hops,
+    finalUrl,
+    domainChanged: sites.size > 1,
+    truncated,
+    stopped,
+  };
+};
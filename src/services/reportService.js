@@ -0,0 +1,99 @@
+import redisClient from "../db/redis.js";
+import { Link } from "../models/Link.js";
+import { LinkReport, REPORT_REASONS } from "../models/LinkReport.js";
+import { ApiError } from "../utilities/ApiError.js";
+import { hashIp } from "./analyticsService.js";
+
+// Pending reports (from distinct visitors) that put a link in the moderation
+// queue
+export const REPORT_THRESHOLD = Number(process.env.LINK_REPORT_THRESHOLD) || 3;
+
+// Validate the body of a visitor report
+export const parseReport = (body = {}) => {
+  const reason = String(body.reason || "").toUpperCase();
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new ApiError(
+      400,
+      `reason must be one of: ${REPORT_REASONS.join(", ")}.`
+    );
+  }
+
+  const details = body.details ?? "";
+  if (typeof details !== "string" || details.length > 1000) {
+    throw new ApiError(
+      400,
+      "details must be a string of at most 1000 characters."
+    );
+  }
+  if (reason === "OTHER" && !details.trim()) {
+    throw new ApiError(400, "details are required when the reason is OTHER.");
+  }
+
+  return { reason, details: details.trim() };
+};
+
+// Record a report against a link (a plain link object, e.g. from
+// getLinkByShortId) and queue the link for moderation once enough visitors
+// have reported it. Returns the updated reports aggregate.
+export const submitLinkReport = async (link, { reason, details }, ip) => {
+  try {
+    await LinkReport.create({
+      link: link._id,
+      reason,
+      details,
+      reporterHash: hashIp(ip) || "unknown",
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(409, "You have already reported this link.");
+    }
+    throw error;
+  }
+
+  const now = new Date();
+  const updated = await Link.findOneAndUpdate(
+    { _id: link._id },
+    {
+      $inc: {
+        "reports.total": 1,
+        "reports.pending": 1,
+        [`reports.byReason.${reason}`]: 1,
+      },
+      $set: { "reports.lastReportedAt": now },
+    },
+    { new: true, projection: { shortId: 1, reports: 1, moderation: 1 } }
+  );
+  if (!updated) {
+    throw new ApiError(404, "Link not found");
+  }
+
+  const { reports, moderation } = updated;
+  if (
+    reports.pending >= REPORT_THRESHOLD &&
+    !reports.queuedAt &&
+    moderation?.status !== "BLOCKED"
+  ) {
+    // Conditional so concurrent reports queue the link only once
+    const queued = await Link.updateOne(
+      { _id: updated._id, "reports.queuedAt": null },
+      { $set: { "reports.queuedAt": now } }
+    );
+    if (queued.modifiedCount > 0) {
+      reports.queuedAt = now;
+      if (moderation?.status === "FALSE_POSITIVE") {
+        // New reports after a review reopen it: warnings come back until an
+        // admin looks again
+        await Link.updateOne(
+          { _id: updated._id, "moderation.status": "FALSE_POSITIVE" },
+          { $set: { "moderation.status": null } }
+        );
+        await redisClient.del(`link:${updated.shortId}`);
+      }
+      console.log(
+        `Link ${updated.shortId} queued for moderation after ${reports.pending} reports`
+      );
+    }
+  }
+
+  return reports;
+};
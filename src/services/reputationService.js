@@ -0,0 +1,273 @@
+import fs from "fs/promises";
+import path from "path";
+import { domainToUnicode } from "url";
+import { siteOf, resolveRedirectChain } from "./redirectChainService.js";
+import "dotenv/config";
+
+// Rule-based URL reputation, independent of the AI analysis. The URL itself
+// is checked when a link is created; the worker re-checks it with the
+// redirect chain (redirectChainService, via screenUrl) before any page
+// content is fetched.
+
+export const REPUTATION_VERDICTS = {
+  ALLOWED: "ALLOWED", // on the allowlist, rules skipped
+  CLEAN: "CLEAN",
+  SUSPICIOUS: "SUSPICIOUS",
+  BLOCKED: "BLOCKED", // on the blocklist
+};
+
+const FLAGGED_VERDICTS = [
+  REPUTATION_VERDICTS.SUSPICIOUS,
+  REPUTATION_VERDICTS.BLOCKED,
+];
+
+// Findings add up; at this score a link is SUSPICIOUS
+const SUSPICIOUS_SCORE = 50;
+// More hops than this is unusual for a legitimate link
+const EXCESSIVE_REDIRECTS = 3;
+
+const LIST_FILE =
+  process.env.URL_REPUTATION_FILE ||
+  path.join(process.cwd(), "config", "url-reputation.json");
+
+const SUSPICIOUS_TLDS = new Set(
+  "zip mov xyz top tk ml ga cf gq icu cyou buzz rest work click link country kim loan men mom party review stream gdn bid win date racing download accountant cricket science faith support".split(
+    " "
+  )
+);
+
+const URL_SHORTENERS = new Set(
+  "bit.ly bitly.com tinyurl.com t.co goo.gl ow.ly is.gd v.gd buff.ly rebrand.ly cutt.ly shorturl.at tiny.cc rb.gy t.ly s.id bl.ink short.io lnkd.in trib.al adf.ly shorte.st".split(
+    " "
+  )
+);
+
+// Our own short links count too: a Linkly link to a bit.ly link is nesting
+const isShortenerHost = (host) =>
+  URL_SHORTENERS.has(host) ||
+  host === hostOf(process.env.REACT_APP_FRONTEND_URL || "");
+
+// Each rule looks at one host and returns { rule, score, detail } or null
+const HOST_RULES = [
+  (host) => {
+    if (!host.split(".").some((label) => label.startsWith("xn--"))) {
+      return null;
+    }
+    const unicode = domainToUnicode(host);
+    // Latin mixed with Cyrillic or Greek is the classic lookalike trick
+    const mixedScripts =
+      /[a-z]/i.test(unicode) && /[\u0370-\u03ff\u0400-\u04ff]/.test(unicode);
+    return mixedScripts
+      ? {
+          rule: "HOMOGLYPH_DOMAIN",
+          score: 60,
+          detail: `${unicode} mixes Latin with lookalike characters`,
+        }
+      : {
+          rule: "PUNYCODE_DOMAIN",
+          score: 25,
+          detail: `Internationalized domain ${unicode}`,
+        };
+  },
+  (host) =>
+    /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith("[")
+      ? {
+          rule: "IP_LITERAL_HOST",
+          score: 50,
+          detail: `Links straight to the IP address ${host}`,
+        }
+      : null,
+  (host) => {
+    const tld = host.split(".").pop();
+    return SUSPICIOUS_TLDS.has(tld)
+      ? {
+          rule: "SUSPICIOUS_TLD",
+          score: 25,
+          detail: `.${tld} domains are widely used for abuse`,
+        }
+      : null;
+  },
+];
+
+// --- Locally maintained blocklist / allowlist (reloaded when the file changes) ---
+
+let lists = { blocklist: [], allowlist: [] };
+let listsLoadedAt = 0;
+
+const normalizeDomain = (entry) =>
+  String(entry).trim().toLowerCase().replace(/^\*\./, "").replace(/\.$/, "");
+
+const loadLists = async () => {
+  try {
+    const { mtimeMs } = await fs.stat(LIST_FILE);
+    if (mtimeMs !== listsLoadedAt) {
+      const parsed = JSON.parse(await fs.readFile(LIST_FILE, "utf8"));
+      lists = {
+        blocklist: (parsed.blocklist || []).map(normalizeDomain),
+        allowlist: (parsed.allowlist || []).map(normalizeDomain),
+      };
+      listsLoadedAt = mtimeMs;
+    }
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(
+        `Failed to load URL reputation lists from ${LIST_FILE}:`,
+        error.message
+      );
+    }
+  }
+  return lists;
+};
+
+// "example.com" on a list also covers its subdomains
+const matchesDomain = (host, domains) =>
+  domains.find((domain) => host === domain || host.endsWith(`.${domain}`));
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/\.$/, "");
+  } catch (error) {
+    return null;
+  }
+};
+
+const buildVerdict = (verdict, score, reasons, chain) => ({
+  verdict,
+  score,
+  reasons,
+  redirectCount: chain.length - 1,
+  checkedAt: new Date(),
+});
+
+// Score a URL and the redirect chain it leads through: the URLs from
+// resolveRedirectChain, with `truncated` set if it gave up (loop or too
+// many hops). Defaults to just the URL, which needs no network access.
+export const evaluateUrlReputation = async (
+  url,
+  chain = [url],
+  { truncated = false } = {}
+) => {
+  const { blocklist, allowlist } = await loadLists();
+  const hosts = chain.map(hostOf).filter(Boolean);
+  const reasons = [];
+
+  for (const host of hosts) {
+    const blocked = matchesDomain(host, blocklist);
+    if (blocked) {
+      reasons.push({
+        rule: "BLOCKLIST",
+        detail: `${host} is on the blocklist (${blocked})`,
+      });
+    }
+  }
+  if (reasons.length > 0) {
+    return buildVerdict(REPUTATION_VERDICTS.BLOCKED, 100, reasons, chain);
+  }
+
+  const finalHost = hosts[hosts.length - 1];
+  if (finalHost && matchesDomain(finalHost, allowlist)) {
+    return buildVerdict(REPUTATION_VERDICTS.ALLOWED, 0, [], chain);
+  }
+
+  let score = 0;
+  const seen = new Set();
+  for (const host of hosts) {
+    for (const rule of HOST_RULES) {
+      const finding = rule(host);
+      // Count each kind of finding once per link
+      if (finding && !seen.has(finding.rule)) {
+        seen.add(finding.rule);
+        score += finding.score;
+        reasons.push({ rule: finding.rule, detail: finding.detail });
+      }
+    }
+  }
+
+  const shorteners = hosts.filter(isShortenerHost);
+  if (shorteners.length > 1) {
+    score += 40;
+    reasons.push({
+      rule: "NESTED_SHORTENER",
+      detail: `Passes through ${
+        shorteners.length
+      } URL shorteners (${shorteners.join(" -> ")})`,
+    });
+  } else if (shorteners.length === 1) {
+    score += 15;
+    reasons.push({
+      rule: "URL_SHORTENER",
+      detail: `${shorteners[0]} hides the real destination`,
+    });
+  }
+
+  const redirects = chain.length - 1;
+  if (truncated || redirects > EXCESSIVE_REDIRECTS) {
+    score += truncated ? 50 : 30;
+    reasons.push({
+      rule: "EXCESSIVE_REDIRECTS",
+      detail: truncated
+        ? `Redirects ${redirects} times without reaching a page`
+        : `Redirects ${redirects} times before reaching the page`,
+    });
+  }
+
+  const sites = [...new Set(chain.map(siteOf).filter(Boolean))];
+  if (sites.length > 1) {
+    score += 20;
+    reasons.push({
+      rule: "CROSS_DOMAIN_REDIRECT",
+      detail: `Redirects from ${sites[0]} to ${sites[sites.length - 1]}`,
+    });
+  }
+
+  score = Math.min(score, 100);
+  return buildVerdict(
+    score >= SUSPICIOUS_SCORE
+      ? REPUTATION_VERDICTS.SUSPICIOUS
+      : REPUTATION_VERDICTS.CLEAN,
+    score,
+    reasons,
+    chain
+  );
+};
+
+// Redirect targets that must not be requested: blocklisted hosts and, unless
+// allowlisted, any host a rule objects to (IP literals, lookalike domains,
+// abused TLDs)
+const isUnsafeRedirect = async (url) => {
+  const host = hostOf(url);
+  if (!host) return true;
+  const { blocklist, allowlist } = await loadLists();
+  if (matchesDomain(host, blocklist)) return true;
+  if (matchesDomain(host, allowlist)) return false;
+  return HOST_RULES.some((rule) => rule(host));
+};
+
+// Score `url` on its own and, unless that already flags it, resolve its
+// redirect chain and score the whole chain. Flagged URLs are never requested,
+// and the chain stops before any redirect target isUnsafeRedirect objects to.
+// Returns { reputation, chain, fetchable }: `chain` is null when it was not
+// resolved, `fetchable` whether the final page may be loaded.
+export const screenUrl = async (url) => {
+  const reputation = await evaluateUrlReputation(url);
+  if (FLAGGED_VERDICTS.includes(reputation.verdict)) {
+    return { reputation, chain: null, fetchable: false };
+  }
+
+  // `url` itself was just scored; rules that only added up to CLEAN for it
+  // do not stop it from being requested
+  const chain = await resolveRedirectChain(url, {
+    stopAt: (hop) => hop !== url && isUnsafeRedirect(hop),
+  });
+  const chainReputation = await evaluateUrlReputation(
+    url,
+    chain.hops.map((hop) => hop.url),
+    { truncated: chain.truncated }
+  );
+  return {
+    reputation: chainReputation,
+    chain,
+    fetchable:
+      !chain.stopped && !FLAGGED_VERDICTS.includes(chainReputation.verdict),
+  };
+};
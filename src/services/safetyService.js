@@ -0,0 +1,49 @@
+// Ratings below this are treated as unsafe (matches the redirect warning)
+export const UNSAFE_RATING_THRESHOLD = 3;
+export const UNSAFE_CATEGORY = "Scam/Phishing/Unsafe";
+
+// True when the rule-based reputation check (reputationService) objects
+export const isReputationFlagged = (link) =>
+  ["SUSPICIOUS", "BLOCKED"].includes(link.reputation?.verdict);
+
+const isRatedUnsafe = (link) =>
+  link.aiSafetyRating !== null &&
+  link.aiSafetyRating !== undefined &&
+  link.aiSafetyRating < UNSAFE_RATING_THRESHOLD;
+
+// True when the AI analysis or the reputation check has flagged a link,
+// unless an admin has reviewed it as a false positive (or blocked it)
+export const isLinkFlaggedUnsafe = (link) =>
+  link.moderation?.status === "BLOCKED" ||
+  (link.moderation?.status !== "FALSE_POSITIVE" &&
+    (isRatedUnsafe(link) ||
+      link.aiClassification?.category === UNSAFE_CATEGORY ||
+      isReputationFlagged(link)));
+
+// The same test as a MongoDB filter, for the moderation queue
+export const FLAGGED_LINK_FILTER = {
+  $or: [
+    { aiSafetyRating: { $ne: null, $lt: UNSAFE_RATING_THRESHOLD } },
+    { "aiClassification.category": UNSAFE_CATEGORY },
+    { "reputation.verdict": { $in: ["SUSPICIOUS", "BLOCKED"] } },
+  ],
+};
+
+const DEFAULT_WARNING = "This link has been flagged as potentially unsafe.";
+
+// Why visitors should see the warning page before being redirected, or
+// null. Warns exactly when isLinkFlaggedUnsafe does; the reputation verdict
+// is available from creation, the AI ones once analysis has run.
+export const getRedirectWarning = (link) => {
+  if (!isLinkFlaggedUnsafe(link)) return null;
+  if (isReputationFlagged(link)) {
+    const details = (link.reputation.reasons || []).map(
+      (reason) => reason.detail
+    );
+    return details.join(". ") || DEFAULT_WARNING;
+  }
+  if (isRatedUnsafe(link)) {
+    return link.aiSafetyJustification || DEFAULT_WARNING;
+  }
+  return link.aiClassification?.reason || DEFAULT_WARNING;
+};
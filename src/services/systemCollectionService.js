@@ -1,7 +1,7 @@
 import { Collection } from "../models/Collection.js";
 
 // System collection categories based on AI classification
-const SYSTEM_CATEGORIES = [
+export const SYSTEM_CATEGORIES = [
   "Programming/Tech Blog",
   "Documentation/Reference",
   "Research/Academic",
@@ -0,0 +1,162 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import redisClient from "../db/redis.js";
+import { ApiError } from "../utilities/ApiError.js";
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque, rotating,
+// and live in Redis so they can be revoked server-side.
+export const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60; // seconds
+export const REFRESH_TOKEN_TTL =
+  Number(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60; // seconds
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const sessionKey = (sid) => `session:${sid}`;
+const refreshKey = (hash) => `refresh:${hash}`;
+const usedRefreshKey = (hash) => `refresh-used:${hash}`;
+const userSessionsKey = (userId) => `user-sessions:${userId}`;
+const revokedSessionKey = (sid) => `revoked-session:${sid}`;
+
+const signAccessToken = (user, sid) =>
+  jwt.sign(
+    {
+      email: user.email,
+      userId: user._id,
+      sid,
+    },
+    process.env.JWT_KEY,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const storeRefreshToken = async (userId, sid) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const hash = hashToken(refreshToken);
+
+  await redisClient.set(
+    sessionKey(sid),
+    JSON.stringify({ userId: userId.toString(), refreshHash: hash }),
+    { EX: REFRESH_TOKEN_TTL }
+  );
+  await redisClient.set(refreshKey(hash), sid, { EX: REFRESH_TOKEN_TTL });
+  await redisClient.sAdd(userSessionsKey(userId), sid);
+  await redisClient.expire(userSessionsKey(userId), REFRESH_TOKEN_TTL);
+
+  return refreshToken;
+};
+
+// Start a new session (one per login/device)
+export const issueSession = async (user) => {
+  const sid = crypto.randomUUID();
+  const refreshToken = await storeRefreshToken(user._id, sid);
+  return {
+    accessToken: signAccessToken(user, sid),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+};
+
+// End one session: its refresh token stops working and its access tokens
+// are rejected until they would have expired anyway
+export const revokeSession = async (sid) => {
+  if (!sid) return;
+  const session = await redisClient.get(sessionKey(sid));
+  if (session) {
+    const { userId, refreshHash } = JSON.parse(session);
+    await redisClient.del(refreshKey(refreshHash));
+    await redisClient.sRem(userSessionsKey(userId), sid);
+  }
+  await redisClient.del(sessionKey(sid));
+  await redisClient.set(revokedSessionKey(sid), "1", { EX: ACCESS_TOKEN_TTL });
+};
+
+// "Log out of all devices"
+export const revokeAllSessions = async (userId) => {
+  const sids = await redisClient.sMembers(userSessionsKey(userId));
+  for (const sid of sids) {
+    await revokeSession(sid);
+  }
+  await redisClient.del(userSessionsKey(userId));
+  return sids.length;
+};
+
+// Exchange a refresh token for a new access/refresh pair. The old refresh
+// token is retired; presenting it again is treated as theft and ends the
+// session it belonged to.
+export const rotateRefreshToken = async (refreshToken, loadUser) => {
+  if (!refreshToken || typeof refreshToken !== "string") {
+    throw new ApiError(401, "Refresh token is required");
+  }
+
+  const hash = hashToken(refreshToken);
+  const sid = await redisClient.get(refreshKey(hash));
+
+  if (!sid) {
+    const reusedSid = await redisClient.get(usedRefreshKey(hash));
+    if (reusedSid) {
+      console.warn(`Refresh token reuse detected for session ${reusedSid}`);
+      await revokeSession(reusedSid);
+    }
+    throw new ApiError(401, "Invalid or expired refresh token");
+  }
+
+  const session = JSON.parse(
+    (await redisClient.get(sessionKey(sid))) || "null"
+  );
+  if (!session || session.refreshHash !== hash) {
+    throw new ApiError(401, "Invalid or expired refresh token");
+  }
+
+  const user = await loadUser(session.userId);
+  if (!user) {
+    await revokeSession(sid);
+    throw new ApiError(401, "Invalid or expired refresh token");
+  }
+
+  await redisClient.del(refreshKey(hash));
+  await redisClient.set(usedRefreshKey(hash), sid, { EX: REFRESH_TOKEN_TTL });
+  const newRefreshToken = await storeRefreshToken(user._id, sid);
+
+  return {
+    user,
+    accessToken: signAccessToken(user, sid),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+};
+
+// Verify signature and expiry, then consult the revocation list
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_KEY);
+
+  // Tokens from before expiry/sessions were introduced carry neither
+  if (!decoded.exp || !decoded.sid) {
+    throw new ApiError(401, "Token has no session");
+  }
+  if (await redisClient.exists(revokedSessionKey(decoded.sid))) {
+    throw new ApiError(401, "Token has been revoked");
+  }
+
+  return decoded;
+};
+
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const options = {
+    sameSite: "None",
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+  };
+  res.cookie("jwtToken", accessToken, {
+    ...options,
+    maxAge: ACCESS_TOKEN_TTL * 1000,
+  });
+  res.cookie("refreshToken", refreshToken, {
+    ...options,
+    maxAge: REFRESH_TOKEN_TTL * 1000,
+  });
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie("jwtToken");
+  res.clearCookie("refreshToken");
+};
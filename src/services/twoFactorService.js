@@ -0,0 +1,197 @@
+import crypto from "crypto";
+import redisClient from "../db/redis.js";
+
+// RFC 6238 TOTP (SHA-1, 6 digits, 30 second steps), which is what
+// authenticator apps expect from an otpauth:// URI
+const TOTP_PERIOD = 30; // seconds
+const TOTP_DIGITS = 6;
+// Accept codes from one step either side to allow for clock drift
+const TOTP_WINDOW = 1;
+const ISSUER = "Linkly";
+
+const BACKUP_CODE_COUNT = 10;
+export const LOGIN_CHALLENGE_TTL = 5 * 60; // seconds
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = "";
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    bits += index.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Returns the time step the code belongs to, or null. Steps at or before
+// `lastUsedStep` are rejected so a code can't be replayed.
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep();
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift += 1) {
+    const candidate = step + drift;
+    if (candidate <= lastUsedStep) continue;
+    const expected = hotp(secret, candidate);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// --- Secret storage: AES-256-GCM so a database dump alone can't mint codes ---
+
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_KEY)
+    .digest();
+
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("hex"))
+    .join(":");
+};
+
+export const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored
+    .split(":")
+    .map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(encrypted),
+    decipher.final(),
+  ]).toString();
+};
+
+// --- Backup codes: shown once, stored as keyed hashes ---
+
+const hashBackupCode = (code) =>
+  crypto
+    .createHmac("sha256", encryptionKey())
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+export const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// Check a TOTP or backup code against a user loaded with the `twoFactor`
+// secrets selected. Marks the code as used on success; the caller saves.
+export const checkSecondFactor = (user, { code, backupCode }) => {
+  const twoFactor = user.twoFactor;
+
+  if (code) {
+    const step = verifyTotp(
+      decryptSecret(twoFactor.secret),
+      code,
+      twoFactor.lastUsedStep ?? -1
+    );
+    if (step === null) return false;
+    twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(String(backupCode));
+    const index = (twoFactor.backupCodes || []).indexOf(hash);
+    if (index === -1) return false;
+    twoFactor.backupCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// --- Login challenges: issued after the password check, redeemed with a code ---
+
+const challengeKey = (hash) => `two-factor-challenge:${hash}`;
+const challengeAttemptsKey = (hash) => `two-factor-challenge-attempts:${hash}`;
+
+const hashChallenge = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+export const createLoginChallenge = async (userId) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  await redisClient.set(challengeKey(hashChallenge(token)), userId.toString(), {
+    EX: LOGIN_CHALLENGE_TTL,
+  });
+  return token;
+};
+
+// User id the challenge was issued for, or null once it has expired or
+// been guessed at too often
+export const getLoginChallengeUser = async (token) => {
+  if (!token || typeof token !== "string") return null;
+  const hash = hashChallenge(token);
+
+  const attempts = await redisClient.incr(challengeAttemptsKey(hash));
+  await redisClient.expire(challengeAttemptsKey(hash), LOGIN_CHALLENGE_TTL);
+  if (attempts > MAX_CHALLENGE_ATTEMPTS) {
+    await clearLoginChallenge(token);
+    return null;
+  }
+
+  return redisClient.get(challengeKey(hash));
+};
+
+export const clearLoginChallenge = async (token) => {
+  const hash = hashChallenge(token);
+  await redisClient.del(challengeKey(hash));
+};
@@ -0,0 +1,185 @@
+import crypto from "crypto";
+import axios from "axios";
+import { Webhook } from "../models/Webhook.js";
+import { WebhookDelivery } from "../models/WebhookDelivery.js";
+import { webhookQueue, webhookDeadLetterQueue } from "../jobs/queue.js";
+import { ApiError } from "../utilities/ApiError.js";
+import {
+  assertPublicUrl,
+  publicAgents,
+  publicLookup,
+} from "./publicNetworkService.js";
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Click counts that fire link.click_threshold, e.g. "10,100,1000"
+const CLICK_MILESTONES = (
+  process.env.WEBHOOK_CLICK_MILESTONES || "10,100,1000,10000"
+)
+  .split(",")
+  .map((value) => Number(value.trim()))
+  .filter((value) => Number.isInteger(value) && value > 0);
+
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+// Normalized webhook URL, or a 400 unless it is http(s) and every address its
+// host resolves to is public
+export const validateWebhookUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new ApiError(400, "Webhook URL is not a valid URL.");
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new ApiError(400, "Webhook URL must use http or https.");
+  }
+  // URL keeps IPv6 literals in brackets
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  try {
+    await new Promise((resolve, reject) =>
+      publicLookup(hostname, {}, (error) => (error ? reject(error) : resolve()))
+    );
+  } catch (error) {
+    if (error.code === "EPRIVATEADDRESS") {
+      throw new ApiError(400, "Webhook URL must point to a public host.");
+    }
+    throw new ApiError(400, "Webhook URL host could not be resolved.");
+  }
+  return parsed.toString();
+};
+
+// Receivers recompute this over `${timestamp}.${body}` to verify a delivery
+export const signWebhookPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+export const linkWebhookData = (link) => ({
+  id: link._id,
+  shortId: link.shortId,
+  shortUrl: `${process.env.REACT_APP_FRONTEND_URL}/linkly/${link.shortId}`,
+  longUrl: link.longUrl,
+  clicks: link.viewerCount || 0,
+  analysisStatus: link.analysisStatus,
+  aiSafetyRating: link.aiSafetyRating,
+  aiClassification: link.aiClassification,
+  createdAt: link.createdAt,
+});
+
+// Queue one delivery per subscribed endpoint. Never throws: webhooks must
+// not break the request or job that triggered them.
+export const emitWebhookEvent = async (ownerId, event, data) => {
+  try {
+    const webhooks = await Webhook.find({
+      owner: ownerId,
+      active: true,
+      events: event,
+    })
+      .select("_id")
+      .lean();
+
+    for (const webhook of webhooks) {
+      const delivery = await WebhookDelivery.create({
+        webhook: webhook._id,
+        owner: ownerId,
+        event,
+        payload: { event, createdAt: new Date(), data },
+      });
+      await webhookQueue.add(
+        "deliver",
+        { deliveryId: delivery._id.toString() },
+        { jobId: delivery._id.toString() }
+      );
+    }
+  } catch (error) {
+    console.error(`Failed to queue webhook event ${event}:`, error);
+  }
+};
+
+// Fire link.click_threshold when a click lands exactly on a milestone
+export const notifyClickMilestone = (link, clicks) => {
+  if (!CLICK_MILESTONES.includes(clicks)) return;
+  emitWebhookEvent(link.owner, "link.click_threshold", {
+    ...linkWebhookData(link),
+    clicks,
+    threshold: clicks,
+  });
+};
+
+// Worker entry point. Throws on failure so BullMQ retries with backoff.
+export const deliverWebhook = async (deliveryId) => {
+  const delivery = await WebhookDelivery.findById(deliveryId);
+  if (!delivery) return { skipped: "delivery log expired" };
+
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+  if (!webhook || !webhook.active) {
+    delivery.status = "FAILED";
+    delivery.attempts.push({
+      at: new Date(),
+      error: "Webhook was deleted or disabled",
+    });
+    await delivery.save();
+    return { skipped: "webhook disabled" };
+  }
+
+  const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+  const attempt = { at: new Date() };
+
+  try {
+    // The URL was checked when saved; check the address again before and on
+    // connect
+    assertPublicUrl(webhook.url);
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Linkly-Webhooks/1.0",
+        "X-Linkly-Event": delivery.event,
+        "X-Linkly-Delivery": delivery._id.toString(),
+        "X-Linkly-Timestamp": timestamp,
+        "X-Linkly-Signature": `sha256=${signWebhookPayload(
+          webhook.secret,
+          timestamp,
+          body
+        )}`,
+      },
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      ...publicAgents,
+      proxy: false,
+      validateStatus: (status) => status >= 200 && status < 300,
+    });
+
+    attempt.statusCode = response.status;
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+    delivery.status = "SUCCEEDED";
+    delivery.deliveredAt = new Date();
+    await delivery.save();
+    return { statusCode: response.status };
+  } catch (error) {
+    attempt.statusCode = error.response?.status ?? null;
+    attempt.durationMs = Date.now() - startedAt;
+    attempt.error = error.message;
+    delivery.attempts.push(attempt);
+    await delivery.save();
+    throw error;
+  }
+};
+
+// Called once BullMQ has given up on a delivery
+export const moveToDeadLetter = async (job, error) => {
+  await webhookDeadLetterQueue.add("dead-webhook", {
+    ...job.data,
+    failedReason: error.message,
+    attemptsMade: job.attemptsMade,
+  });
+  await WebhookDelivery.updateOne(
+    { _id: job.data.deliveryId },
+    { status: "DEAD" }
+  );
+};
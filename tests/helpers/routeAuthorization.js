@@ -0,0 +1,158 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../../src/models/User.js";
+import { ApiKey } from "../../src/models/ApiKey.js";
+import { ModerationAuditLog } from "../../src/models/ModerationAuditLog.js";
+import { startTestApp, tokenFor, newId, queryResult } from "./testApp.js";
+
+export const FORBIDDEN_MESSAGE = "You do not have access to this resource.";
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Every route of an Express router as { method, path }
+export const listRoutes = (router) =>
+  router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) =>
+      Object.keys(layer.route.methods).map((method) => ({
+        method: method.toUpperCase(),
+        path: layer.route.path,
+      }))
+    );
+
+// Routes addressed to a user by the :user_id path parameter
+export const listUserRoutes = (router) =>
+  listRoutes(router).filter(({ path }) => path.includes(":user_id"));
+
+// Concrete URL for a route: the given user, a fresh ObjectId per other param
+const fillPath = (path, userId) =>
+  path.replace(":user_id", userId).replace(/:[A-Za-z_]+/g, () => newId());
+
+// Users the stubbed User.findById knows about, keyed by ID
+const withUsers = (t, users) =>
+  t.mock.method(User, "findById", (id) =>
+    queryResult(users[id?.toString()] || null)
+  );
+
+// Asserts that every /loggedin/:user_id route of `router` answers 403 to
+// another user's token or API key, and to a disabled admin, and lets an admin
+// through (recording state-changing requests in the moderation audit log).
+export const describeUserRouteBinding = (name, router) => {
+  const routes = listUserRoutes(router);
+
+  describe(`${name}: /loggedin/:user_id routes`, () => {
+    let app;
+    before(async () => {
+      app = await startTestApp();
+    });
+    after(() => app.close());
+
+    it("has routes addressed by user ID", () => {
+      assert.ok(routes.length > 0);
+    });
+
+    for (const { method, path } of routes) {
+      describe(`${method} ${path}`, () => {
+        it("rejects another user's token with 403", async (t) => {
+          const actor = newId();
+          const owner = newId();
+          withUsers(t, { [actor]: { _id: actor, role: "user" } });
+
+          const { status, body } = await app.request(
+            method,
+            fillPath(path, owner),
+            { authorization: `Bearer ${tokenFor(actor)}` }
+          );
+
+          assert.equal(status, 403);
+          assert.equal(body.message, FORBIDDEN_MESSAGE);
+        });
+
+        it("rejects another user's API key with 403", async (t) => {
+          const keyOwner = newId();
+          t.mock.method(ApiKey, "findOne", () =>
+            queryResult({
+              _id: newId(),
+              owner: keyOwner,
+              scopes: ["read", "links:write", "collections:write"],
+              rateLimit: 1000,
+              lastUsedAt: new Date(),
+            })
+          );
+
+          const { status } = await app.request(
+            method,
+            fillPath(path, newId()),
+            { "x-api-key": "lk_test-key" }
+          );
+
+          assert.equal(status, 403);
+        });
+
+        it("rejects a disabled admin with 403", async (t) => {
+          const admin = newId();
+          withUsers(t, {
+            [admin]: { _id: admin, role: "admin", disabledAt: new Date() },
+          });
+          const audit = t.mock.method(
+            ModerationAuditLog,
+            "create",
+            async () => ({})
+          );
+
+          const { status, body } = await app.request(
+            method,
+            fillPath(path, newId()),
+            { authorization: `Bearer ${tokenFor(admin)}` }
+          );
+
+          assert.equal(status, 403);
+          assert.equal(body.message, FORBIDDEN_MESSAGE);
+          assert.equal(audit.mock.callCount(), 0);
+        });
+
+        it("lets an admin act on another user's route", async (t) => {
+          const admin = newId();
+          const owner = newId();
+          withUsers(t, { [admin]: { _id: admin, role: "admin" } });
+          const audit = t.mock.method(
+            ModerationAuditLog,
+            "create",
+            async () => ({})
+          );
+
+          const { status, body } = await app.request(
+            method,
+            fillPath(path, owner),
+            { authorization: `Bearer ${tokenFor(admin)}` }
+          );
+
+          // Past the authorization layer the handler fails on the missing
+          // database, which is fine: only a 401/403 from the layer counts
+          assert.notEqual(status, 401);
+          assert.notEqual(body?.message, FORBIDDEN_MESSAGE);
+
+          if (READ_METHODS.includes(method)) {
+            assert.equal(audit.mock.callCount(), 0);
+          } else {
+            assert.equal(audit.mock.callCount(), 1);
+            const [entry] = audit.mock.calls[0].arguments;
+            assert.equal(entry.action, "ADMIN_OVERRIDE");
+            assert.equal(entry.actor, admin);
+            assert.equal(entry.targetUser, owner);
+          }
+        });
+      });
+    }
+  });
+};
+
+// Routers that never take a user ID from the URL: they act on the token
+// subject or on public data, so there is no route user to bind
+export const describeNoUserRoutes = (name, router) => {
+  describe(`${name}: /loggedin/:user_id routes`, () => {
+    it("has none", () => {
+      assert.deepEqual(listUserRoutes(router), []);
+    });
+  });
+};
@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+
+// Boots the real Express app without MongoDB or Redis. Model calls fail fast
+// instead of waiting for a connection, and the Redis commands the app uses
+// are served from memory, so requests that get past the middleware end in a
+// quick error rather than a hang.
+
+process.env.NODE_ENV = "test";
+process.env.JWT_KEY = process.env.JWT_KEY || "test-jwt-key";
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || "test-session";
+
+mongoose.set("bufferCommands", false);
+
+// Handlers log the database errors these requests are expected to hit; set
+// DEBUG_TESTS to see them
+if (!process.env.DEBUG_TESTS) {
+  for (const level of ["log", "info", "warn", "error"]) {
+    console[level] = () => {};
+  }
+}
+
+const { default: redisClient } = await import("../../src/db/redis.js");
+redisClient.removeAllListeners("error");
+redisClient.on("error", () => {});
+
+const store = new Map();
+const sets = new Map();
+Object.assign(redisClient, {
+  get: async (key) => store.get(key) ?? null,
+  getDel: async (key) => {
+    const value = store.get(key) ?? null;
+    store.delete(key);
+    return value;
+  },
+  set: async (key, value) => {
+    store.set(key, String(value));
+    return "OK";
+  },
+  del: async (keys) =>
+    [].concat(keys).filter((key) => {
+      const deleted = store.delete(key);
+      return sets.delete(key) || deleted;
+    }).length,
+  exists: async (key) => (store.has(key) ? 1 : 0),
+  expire: async () => 1,
+  incr: async (key) => {
+    const value = Number(store.get(key) || 0) + 1;
+    store.set(key, String(value));
+    return value;
+  },
+  sAdd: async (key, member) => {
+    if (!sets.has(key)) sets.set(key, new Set());
+    if (sets.get(key).has(member)) return 0;
+    sets.get(key).add(member);
+    return 1;
+  },
+  sRem: async (key, member) => (sets.get(key)?.delete(member) ? 1 : 0),
+  sMembers: async (key) => [...(sets.get(key) || [])],
+  rPush: async () => 1,
+});
+
+const { default: app } = await import("../../src/app.js");
+
+export const newId = () => new mongoose.Types.ObjectId().toString();
+
+// Access token shaped like the ones tokenService issues
+export const tokenFor = (userId) =>
+  jwt.sign(
+    { email: `${userId}@example.com`, userId, sid: crypto.randomUUID() },
+    process.env.JWT_KEY,
+    { expiresIn: 60 }
+  );
+
+// Stand-in for a Mongoose query: chainable, and resolves to `value`
+export const queryResult = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  for (const method of ["select", "lean", "populate", "sort", "limit"]) {
+    query[method] = () => query;
+  }
+  return query;
+};
+
+// Start the app on a free port. Returns a request helper and close().
+export const startTestApp = async () => {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, headers = {}, body = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { "content-type": "application/json", ...headers },
+      body: ["GET", "HEAD"].includes(method) ? undefined : JSON.stringify(body),
+      redirect: "manual",
+      signal: AbortSignal.timeout(5000),
+    });
+    const text = await response.text();
+    try {
+      return { status: response.status, body: JSON.parse(text) };
+    } catch (error) {
+      return { status: response.status, body: text };
+    }
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+  return { request, close };
+};
@@ -0,0 +1,4 @@
+import { describeUserRouteBinding } from "../helpers/routeAuthorization.js";
+import router from "../../src/routers/analytics.router.js";
+
+describeUserRouteBinding("analytics router", router);
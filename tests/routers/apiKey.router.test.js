@@ -0,0 +1,69 @@
+import { describeNoUserRoutes } from "../helpers/routeAuthorization.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ApiKey } from "../../src/models/ApiKey.js";
+import {
+  startTestApp,
+  newId,
+  queryResult,
+  tokenFor,
+} from "../helpers/testApp.js";
+import router from "../../src/routers/apiKey.router.js";
+
+describeNoUserRoutes("apiKey router", router);
+
+describe("apiKey router: key management", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  it("requires a signed-in session", async () => {
+    const { status } = await app.request("GET", "/api-keys");
+    assert.equal(status, 401);
+  });
+
+  it("refuses API keys", async (t) => {
+    t.mock.method(ApiKey, "findOne", () =>
+      queryResult({
+        _id: newId(),
+        owner: newId(),
+        scopes: ["read", "links:write", "collections:write"],
+        rateLimit: 1000,
+        lastUsedAt: new Date(),
+      })
+    );
+
+    const { status } = await app.request("GET", "/api-keys", {
+      "x-api-key": "lk_test-key",
+    });
+    assert.equal(status, 403);
+  });
+
+  it("returns the new key once, without its hash", async (t) => {
+    const userId = newId();
+    t.mock.method(ApiKey, "countDocuments", async () => 0);
+    const create = t.mock.method(
+      ApiKey,
+      "create",
+      async (doc) => new ApiKey(doc)
+    );
+
+    const { status, body } = await app.request(
+      "POST",
+      "/api-keys",
+      { authorization: `Bearer ${tokenFor(userId)}` },
+      { name: "CI", scopes: ["read"] }
+    );
+
+    assert.equal(status, 201);
+    assert.match(body.key, /^lk_/);
+    assert.ok(create.mock.calls[0].arguments[0].keyHash);
+    assert.equal(body.apiKey.name, "CI");
+    assert.equal("keyHash" in body.apiKey, false);
+    assert.ok(
+      !JSON.stringify(body).includes(create.mock.calls[0].arguments[0].keyHash)
+    );
+  });
+});
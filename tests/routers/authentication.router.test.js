@@ -0,0 +1,90 @@
+import { describeNoUserRoutes } from "../helpers/routeAuthorization.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { OAuth2Client } from "google-auth-library";
+import { User } from "../../src/models/User.js";
+import { startTestApp, newId, queryResult } from "../helpers/testApp.js";
+import router from "../../src/routers/authentication.router.js";
+
+describeNoUserRoutes("authentication router", router);
+
+describe("authentication router: POST /google-auth", () => {
+  let app;
+  before(async () => {
+    process.env.GOOGLE_CLIENT_ID = "test-client-id";
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  const googleIdentity = (t, payload) =>
+    t.mock.method(OAuth2Client.prototype, "verifyIdToken", async () => ({
+      getPayload: () => payload,
+    }));
+
+  it("answers 401 to an ID token Google rejects", async (t) => {
+    t.mock.method(OAuth2Client.prototype, "verifyIdToken", async () => {
+      throw new Error("Invalid token signature");
+    });
+
+    const { status } = await app.request(
+      "POST",
+      "/google-auth",
+      {},
+      {
+        idToken: "not-a-google-token",
+      }
+    );
+    assert.equal(status, 401);
+  });
+
+  it("answers 403 to a disabled account", async (t) => {
+    googleIdentity(t, {
+      sub: "google-123",
+      email: "disabled@example.com",
+      email_verified: true,
+    });
+    t.mock.method(User, "findOne", () =>
+      queryResult({
+        _id: newId(),
+        email: "disabled@example.com",
+        googleId: "google-123",
+        disabledAt: new Date(),
+      })
+    );
+
+    const { status, body } = await app.request(
+      "POST",
+      "/google-auth",
+      {},
+      {
+        idToken: "header.payload.signature",
+      }
+    );
+    assert.equal(status, 403);
+    assert.equal(body.message, "This account has been disabled");
+  });
+});
+
+describe("authentication router: POST /forgot-password", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  it("limits emails per address even from rotating IPs", async () => {
+    const statuses = [];
+    for (let i = 1; i <= 11; i++) {
+      const { status } = await app.request(
+        "POST",
+        "/forgot-password",
+        { "x-forwarded-for": `203.0.113.${i}` },
+        { email: i % 2 ? "Flooded@Example.com" : " flooded@example.com" }
+      );
+      statuses.push(status);
+    }
+
+    assert.ok(statuses.slice(0, 10).every((status) => status !== 429));
+    assert.equal(statuses[10], 429);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { describeUserRouteBinding } from "../helpers/routeAuthorization.js";
+import {
+  startTestApp,
+  tokenFor,
+  newId,
+  queryResult,
+} from "../helpers/testApp.js";
+import { Collection } from "../../src/models/Collection.js";
+import { CollectionMember } from "../../src/models/CollectionMember.js";
+import { User } from "../../src/models/User.js";
+import { registerMailTransport } from "../../src/services/mailService.js";
+import router from "../../src/routers/collection.router.js";
+
+describeUserRouteBinding("collection router", router);
+
+describe("collection router: inviting members", () => {
+  let app;
+  let previousTransport;
+  const sent = [];
+  // createLinkLimiter sits in front of the collection routes; a visitor IP
+  // per request keeps these tests clear of it
+  let visitor = 0;
+  before(async () => {
+    app = await startTestApp();
+    registerMailTransport("test", {
+      send: async (message) => sent.push(message),
+    });
+    previousTransport = process.env.MAIL_TRANSPORT;
+    process.env.MAIL_TRANSPORT = "test";
+  });
+  after(() => {
+    process.env.MAIL_TRANSPORT = previousTransport;
+    return app.close();
+  });
+
+  // Owner, collection and invitee lookups for one invite request. Returns
+  // the CollectionMember.create mock.
+  const setUp = (t, { invitee = null, existing = null } = {}) => {
+    sent.length = 0;
+    const owner = newId();
+    const collectionId = newId();
+    t.mock.method(Collection, "findById", () =>
+      queryResult({
+        _id: collectionId,
+        owner,
+        name: "Reading list",
+        isSystem: false,
+      })
+    );
+    t.mock.method(User, "findOne", () => queryResult(invitee));
+    t.mock.method(User, "findById", () => queryResult({ username: "owner" }));
+    t.mock.method(CollectionMember, "findOne", () => queryResult(existing));
+    const create = t.mock.method(CollectionMember, "create", async (doc) => ({
+      _id: newId(),
+      status: "PENDING",
+      ...doc,
+    }));
+
+    const invite = (role = "viewer") =>
+      app.request(
+        "POST",
+        `/loggedin/${owner}/collections/${collectionId}/members`,
+        {
+          authorization: `Bearer ${tokenFor(owner)}`,
+          "x-forwarded-for": `198.51.100.${++visitor}`,
+        },
+        { email: "Friend@Example.com", role }
+      );
+    return { create, invite };
+  };
+
+  it("emails the invitation", async (t) => {
+    const { invite } = setUp(t);
+
+    const { status, body } = await invite("editor");
+
+    assert.equal(status, 201);
+    assert.equal(body.message, "Invitation sent");
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, "friend@example.com");
+    assert.match(
+      sent[0].text,
+      /invited you to edit the collection "Reading list"/
+    );
+  });
+
+  it("answers the same whether or not the address has an account", async (t) => {
+    const withoutAccount = await setUp(t).invite();
+    const withAccount = await setUp(t, {
+      invitee: { _id: newId(), emailVerified: true },
+    }).invite();
+
+    assert.equal(withoutAccount.status, withAccount.status);
+    assert.deepEqual(
+      Object.keys(withoutAccount.body.member),
+      Object.keys(withAccount.body.member)
+    );
+  });
+
+  it("ties the invitation to an account only if its address is verified", async (t) => {
+    const unverified = setUp(t, {
+      invitee: { _id: newId(), emailVerified: false },
+    });
+    await unverified.invite();
+    assert.equal(unverified.create.mock.calls[0].arguments[0].user, null);
+
+    const verifiedId = newId();
+    const verified = setUp(t, {
+      invitee: { _id: verifiedId, emailVerified: true },
+    });
+    await verified.invite();
+    assert.equal(verified.create.mock.calls[0].arguments[0].user, verifiedId);
+  });
+
+  it("updates and resends a pending invitation", async (t) => {
+    const existing = {
+      _id: newId(),
+      email: "friend@example.com",
+      role: "viewer",
+      status: "PENDING",
+      save: async () => {},
+    };
+    const { create, invite } = setUp(t, { existing });
+
+    const { status, body } = await invite("editor");
+
+    assert.equal(status, 201);
+    assert.equal(body.member.role, "editor");
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(sent.length, 1);
+  });
+
+  it("refuses to re-invite someone who already answered", async (t) => {
+    const { invite } = setUp(t, {
+      existing: { _id: newId(), role: "viewer", status: "ACCEPTED" },
+    });
+
+    const { status } = await invite("editor");
+
+    assert.equal(status, 409);
+    assert.equal(sent.length, 0);
+  });
+});
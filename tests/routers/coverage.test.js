@@ -0,0 +1,30 @@
+import { listUserRoutes } from "../helpers/routeAuthorization.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const testsDir = path.dirname(fileURLToPath(import.meta.url));
+const routersDir = path.resolve(testsDir, "../../src/routers");
+const routerFiles = fs
+  .readdirSync(routersDir)
+  .filter((file) => file.endsWith(".router.js"));
+
+describe("router test coverage", () => {
+  for (const file of routerFiles) {
+    it(`${file} has a test file`, () => {
+      const testFile = file.replace(/\.js$/, ".test.js");
+      assert.ok(fs.existsSync(path.join(testsDir, testFile)));
+    });
+
+    // authorizeRouteUser is mounted on /loggedin/:user_id in app.js; a user
+    // ID anywhere else would skip it
+    it(`${file} only takes :user_id under /loggedin/:user_id`, async () => {
+      const { default: router } = await import(path.join(routersDir, file));
+      for (const { path: routePath } of listUserRoutes(router)) {
+        assert.match(routePath, /^\/loggedin\/:user_id(\/|$)/);
+      }
+    });
+  }
+});
@@ -0,0 +1,4 @@
+import { describeUserRouteBinding } from "../helpers/routeAuthorization.js";
+import router from "../../src/routers/export.router.js";
+
+describeUserRouteBinding("export router", router);
@@ -0,0 +1,4 @@
+import { describeUserRouteBinding } from "../helpers/routeAuthorization.js";
+import router from "../../src/routers/import.router.js";
+
+describeUserRouteBinding("import router", router);
@@ -0,0 +1,97 @@
+import {
+  describeNoUserRoutes,
+  listRoutes,
+} from "../helpers/routeAuthorization.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../../src/models/User.js";
+import { ApiKey } from "../../src/models/ApiKey.js";
+import {
+  startTestApp,
+  tokenFor,
+  newId,
+  queryResult,
+} from "../helpers/testApp.js";
+import router from "../../src/routers/moderation.router.js";
+
+const ADMIN_REQUIRED = "Admin access required.";
+
+const fillPath = (path) => path.replace(/:[A-Za-z_]+/g, () => newId());
+
+describeNoUserRoutes("moderation router", router);
+
+// Admin-only across all users, so requireAdmin stands in for route binding
+describe("moderation router: admin routes", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  for (const { method, path } of listRoutes(router)) {
+    describe(`${method} ${path}`, () => {
+      it("rejects a regular user with 403", async (t) => {
+        const user = newId();
+        t.mock.method(User, "findById", () =>
+          queryResult({ _id: user, role: "user", disabledAt: null })
+        );
+
+        const { status, body } = await app.request(method, fillPath(path), {
+          authorization: `Bearer ${tokenFor(user)}`,
+        });
+
+        assert.equal(status, 403);
+        assert.equal(body.message, ADMIN_REQUIRED);
+      });
+
+      it("rejects a disabled admin with 403", async (t) => {
+        const admin = newId();
+        t.mock.method(User, "findById", () =>
+          queryResult({ _id: admin, role: "admin", disabledAt: new Date() })
+        );
+
+        const { status } = await app.request(method, fillPath(path), {
+          authorization: `Bearer ${tokenFor(admin)}`,
+        });
+
+        assert.equal(status, 403);
+      });
+
+      it("rejects an admin's API key with 403", async (t) => {
+        const admin = newId();
+        t.mock.method(User, "findById", () =>
+          queryResult({ _id: admin, role: "admin", disabledAt: null })
+        );
+        t.mock.method(ApiKey, "findOne", () =>
+          queryResult({
+            _id: newId(),
+            owner: admin,
+            scopes: ["read", "links:write", "collections:write"],
+            rateLimit: 1000,
+            lastUsedAt: new Date(),
+          })
+        );
+
+        const { status } = await app.request(method, fillPath(path), {
+          "x-api-key": "lk_test-key",
+        });
+
+        assert.equal(status, 403);
+      });
+
+      it("lets an admin through", async (t) => {
+        const admin = newId();
+        t.mock.method(User, "findById", () =>
+          queryResult({ _id: admin, role: "admin", disabledAt: null })
+        );
+
+        const { status, body } = await app.request(method, fillPath(path), {
+          authorization: `Bearer ${tokenFor(admin)}`,
+        });
+
+        assert.notEqual(status, 401);
+        assert.notEqual(body?.message, ADMIN_REQUIRED);
+      });
+    });
+  }
+});
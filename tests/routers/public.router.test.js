@@ -0,0 +1,4 @@
+import { describeNoUserRoutes } from "../helpers/routeAuthorization.js";
+import router from "../../src/routers/public.router.js";
+
+describeNoUserRoutes("public router", router);
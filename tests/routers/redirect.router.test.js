@@ -0,0 +1,42 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcrypt";
+import { describeUserRouteBinding } from "../helpers/routeAuthorization.js";
+import { startTestApp, queryResult } from "../helpers/testApp.js";
+import { Link } from "../../src/models/Link.js";
+import router from "../../src/routers/redirect.router.js";
+
+describeUserRouteBinding("redirect router", router);
+
+describe("redirect router: POST /linkly/:web_id/unlock", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  it("limits wrong guesses per visitor, not per link", async (t) => {
+    const password = await bcrypt.hash("correct horse", 4);
+    t.mock.method(Link, "findOne", () =>
+      queryResult({ passwordProtected: true, password, toObject: () => ({}) })
+    );
+    const guess = (ip, attempt) =>
+      app.request(
+        "POST",
+        "/linkly/locked/unlock",
+        { "x-forwarded-for": ip },
+        { password: attempt }
+      );
+
+    const statuses = [];
+    for (let i = 0; i < 11; i++) {
+      statuses.push((await guess("198.51.100.20", "wrong")).status);
+    }
+    assert.ok(statuses.slice(0, 10).every((status) => status === 401));
+    assert.equal(statuses[10], 429);
+
+    // Another visitor with the right password still gets in
+    const { status } = await guess("198.51.100.21", "correct horse");
+    assert.equal(status, 303);
+  });
+});
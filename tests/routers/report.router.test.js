@@ -0,0 +1,67 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { describeUserRouteBinding } from "../helpers/routeAuthorization.js";
+import { startTestApp, newId, queryResult } from "../helpers/testApp.js";
+import { Link } from "../../src/models/Link.js";
+import { LinkReport } from "../../src/models/LinkReport.js";
+import { hashIp } from "../../src/services/analyticsService.js";
+import router from "../../src/routers/report.router.js";
+
+describeUserRouteBinding("report router", router);
+
+// The test server is reached over loopback, which `trust proxy` trusts by
+// default, so X-Forwarded-For stands for the visitor behind the proxy
+describe("report router: POST /linkly/:web_id/report", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  const mockReportableLink = (t) => {
+    const linkId = newId();
+    t.mock.method(Link, "findOne", () =>
+      queryResult({ toObject: () => ({ _id: linkId, shortId: "reported" }) })
+    );
+    t.mock.method(Link, "findOneAndUpdate", async () => ({
+      _id: linkId,
+      shortId: "reported",
+      reports: { pending: 1 },
+      moderation: null,
+    }));
+    return t.mock.method(LinkReport, "create", async () => ({}));
+  };
+
+  const report = (ip) =>
+    app.request(
+      "POST",
+      "/linkly/reported/report",
+      { "x-forwarded-for": ip },
+      { reason: "SPAM" }
+    );
+
+  it("tells visitors behind the proxy apart", async (t) => {
+    const create = mockReportableLink(t);
+
+    assert.equal((await report("198.51.100.1")).status, 201);
+    assert.equal((await report("198.51.100.2")).status, 201);
+
+    const hashes = create.mock.calls.map(
+      ({ arguments: [entry] }) => entry.reporterHash
+    );
+    assert.deepEqual(hashes, [hashIp("198.51.100.1"), hashIp("198.51.100.2")]);
+  });
+
+  it("rate limits each forwarded visitor, not the proxy", async (t) => {
+    mockReportableLink(t);
+
+    const statuses = [];
+    for (let i = 0; i < 11; i++) {
+      statuses.push((await report("198.51.100.10")).status);
+    }
+    assert.ok(statuses.slice(0, 10).every((status) => status === 201));
+    assert.equal(statuses[10], 429);
+
+    assert.equal((await report("198.51.100.11")).status, 201);
+  });
+});
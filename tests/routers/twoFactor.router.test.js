@@ -0,0 +1,115 @@
+import { describeNoUserRoutes } from "../helpers/routeAuthorization.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcrypt";
+import {
+  startTestApp,
+  tokenFor,
+  newId,
+  queryResult,
+} from "../helpers/testApp.js";
+import { totpCode } from "../helpers/totp.js";
+import { User } from "../../src/models/User.js";
+import {
+  generateTotpSecret,
+  encryptSecret,
+} from "../../src/services/twoFactorService.js";
+import router from "../../src/routers/twoFactor.router.js";
+
+describeNoUserRoutes("twoFactor router", router);
+
+describe("twoFactor router: enrollment", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  it("requires a signed-in session", async () => {
+    const { status } = await app.request("GET", "/2fa");
+    assert.equal(status, 401);
+  });
+});
+
+describe("twoFactor router: changing 2FA", () => {
+  let app;
+  let passwordHash;
+  before(async () => {
+    app = await startTestApp();
+    passwordHash = await bcrypt.hash("hunter22", 4);
+  });
+  after(() => app.close());
+
+  // A user with 2FA on, served by the stubbed User.findById
+  const withEnrolledUser = (t) => {
+    const secret = generateTotpSecret();
+    const user = {
+      _id: newId(),
+      password: passwordHash,
+      twoFactor: {
+        enabled: true,
+        secret: encryptSecret(secret),
+        backupCodes: [],
+        lastUsedStep: -1,
+      },
+      save: async () => {},
+    };
+    t.mock.method(User, "findById", () => queryResult(user));
+    const send = (path, body) =>
+      app.request(
+        "POST",
+        path,
+        { authorization: `Bearer ${tokenFor(user._id)}` },
+        body
+      );
+    return { user, secret, send };
+  };
+
+  for (const path of ["/2fa/disable", "/2fa/backup-codes"]) {
+    it(`${path} requires the password as well as a code`, async (t) => {
+      const { user, secret, send } = withEnrolledUser(t);
+
+      const missing = await send(path, { code: totpCode(secret) });
+      const wrong = await send(path, {
+        password: "guess",
+        code: totpCode(secret),
+      });
+
+      assert.equal(missing.status, 400);
+      assert.equal(wrong.status, 400);
+      assert.equal(wrong.body.message, "Incorrect password.");
+      assert.equal(user.twoFactor.enabled, true);
+    });
+  }
+
+  it("turns 2FA off with the password and a current code", async (t) => {
+    const { user, secret, send } = withEnrolledUser(t);
+
+    const { status } = await send("/2fa/disable", {
+      password: "hunter22",
+      code: totpCode(secret),
+    });
+
+    assert.equal(status, 200);
+    assert.equal(user.twoFactor.enabled, false);
+  });
+
+  it("stops guessing after 5 failed attempts per user", async (t) => {
+    const { user, secret, send } = withEnrolledUser(t);
+
+    for (let i = 0; i < 5; i++) {
+      const { status } = await send("/2fa/disable", {
+        password: "hunter22",
+        code: "000000",
+      });
+      assert.equal(status, 400);
+    }
+    const { status } = await send("/2fa/disable", {
+      password: "hunter22",
+      code: totpCode(secret),
+    });
+
+    assert.equal(status, 429);
+    assert.equal(user.twoFactor.enabled, true);
+  });
+});
@@ -0,0 +1,4 @@
+import { describeUserRouteBinding } from "../helpers/routeAuthorization.js";
+import router from "../../src/routers/webhook.router.js";
+
+describeUserRouteBinding("webhook router", router);
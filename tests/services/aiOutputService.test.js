@@ -0,0 +1,143 @@
+import "../helpers/testApp.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  COMBINED_SCHEMA,
+  SAFETY_SCHEMA,
+  extractJson,
+  parseWithRepair,
+} from "../../src/services/aiOutputService.js";
+
+const combined = (overrides = {}) => ({
+  summary_and_tags: {
+    summary: "  A guide to Node streams. ",
+    tags: ["node", " streams ", "node", "", "a", "b", "c", "d"],
+  },
+  safety: { safety_rating: "4", explanation: " Well-known site. " },
+  classification: {
+    category: "programming/tech blog",
+    confidence: "0.9",
+    reason: " Tutorial content. ",
+  },
+  ...overrides,
+});
+
+describe("extractJson", () => {
+  it("reads an object wrapped in code fences and chatter", () => {
+    const text =
+      'Sure! Here it is:\n```json\n{ "a": { "b": 1 } }\n```\nThanks.';
+    assert.deepEqual(extractJson(text), { a: { b: 1 } });
+  });
+
+  it("throws when there is no object", () => {
+    assert.throws(() => extractJson("no json here"), /does not contain/);
+    assert.throws(() => extractJson("{ not: json }"), SyntaxError);
+  });
+});
+
+describe("COMBINED_SCHEMA", () => {
+  it("normalizes a valid response into the shape the worker stores", () => {
+    const { value, errors } = COMBINED_SCHEMA.normalize(combined());
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, {
+      summaryData: {
+        summary: "A guide to Node streams.",
+        tags: ["node", "streams", "a", "b", "c"],
+      },
+      safety: { rating: 4, justification: "Well-known site." },
+      classification: {
+        category: "Programming/Tech Blog",
+        confidence: 0.9,
+        reason: "Tutorial content.",
+      },
+    });
+  });
+
+  it("reads the safety text from either explanation or justification", () => {
+    const { value, errors } = COMBINED_SCHEMA.normalize(
+      combined({ safety: { safety_rating: 2, justification: "Lookalike." } })
+    );
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value.safety, { rating: 2, justification: "Lookalike." });
+  });
+
+  it("reports each out-of-range field under its section", () => {
+    const { errors } = COMBINED_SCHEMA.normalize(
+      combined({
+        safety: { safety_rating: 6, explanation: "" },
+        classification: {
+          category: "Cooking",
+          confidence: 1.5,
+          reason: "",
+        },
+      })
+    );
+
+    assert.deepEqual(
+      errors.map((error) => error.split(" ")[0]),
+      [
+        "safety.safety_rating",
+        "safety.explanation",
+        "classification.category",
+        "classification.confidence",
+      ]
+    );
+  });
+
+  it("rejects a response that isn't an object", () => {
+    assert.deepEqual(COMBINED_SCHEMA.normalize(null).errors, [
+      "expected a JSON object",
+    ]);
+  });
+});
+
+describe("parseWithRepair", () => {
+  const quietly = (t) => t.mock.method(console, "warn", () => {});
+
+  it("returns a valid response without asking for a repair", async (t) => {
+    const generate = t.mock.fn();
+
+    const value = await parseWithRepair(
+      JSON.stringify({ safety_rating: 5, explanation: "Fine." }),
+      SAFETY_SCHEMA,
+      generate
+    );
+
+    assert.deepEqual(value, { rating: 5, justification: "Fine." });
+    assert.equal(generate.mock.callCount(), 0);
+  });
+
+  it("feeds the problems back to the model and uses the repaired answer", async (t) => {
+    quietly(t);
+    const generate = t.mock.fn(async () =>
+      JSON.stringify({ safety_rating: 3, explanation: "Mixed signals." })
+    );
+
+    const value = await parseWithRepair(
+      "```json\n{ safety_rating: 3 }\n```",
+      SAFETY_SCHEMA,
+      generate
+    );
+
+    assert.deepEqual(value, { rating: 3, justification: "Mixed signals." });
+    assert.equal(generate.mock.callCount(), 1);
+    const prompt = generate.mock.calls[0].arguments[0];
+    assert.match(prompt, /invalid JSON/);
+    assert.ok(prompt.includes(SAFETY_SCHEMA.shape));
+  });
+
+  it("gives up after the allowed number of repairs", async (t) => {
+    quietly(t);
+    const generate = t.mock.fn(async () =>
+      JSON.stringify({ safety_rating: 9, explanation: "Still wrong." })
+    );
+
+    await assert.rejects(
+      parseWithRepair("not json", SAFETY_SCHEMA, generate, 2),
+      /AI safety response failed validation: safety_rating must be/
+    );
+    assert.equal(generate.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,96 @@
+import { newId } from "../helpers/testApp.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import redisClient from "../../src/db/redis.js";
+import { ClickEvent } from "../../src/models/ClickEvent.js";
+import { flushClickBuffer } from "../../src/services/analyticsService.js";
+
+const BUFFER = "clicks:buffer";
+const PROCESSING = "clicks:processing";
+
+// Serve the list commands flushClickBuffer uses from `lists`
+const useLists = (t, lists) => {
+  const list = (key) => (lists[key] ||= []);
+  t.mock.method(redisClient, "lRange", async (key) => [...list(key)]);
+  t.mock.method(redisClient, "lMove", async (from, to) => {
+    const entry = list(from).shift();
+    if (entry === undefined) return null;
+    list(to).push(entry);
+    return entry;
+  });
+  t.mock.method(redisClient, "rPush", async (key, values) =>
+    list(key).push(...[].concat(values))
+  );
+  t.mock.method(redisClient, "del", async (key) => {
+    delete lists[key];
+    return 1;
+  });
+  t.mock.method(redisClient, "multi", () => {
+    const commands = [];
+    const transaction = {
+      rPush: (...args) => {
+        commands.push(() => redisClient.rPush(...args));
+        return transaction;
+      },
+      del: (...args) => {
+        commands.push(() => redisClient.del(...args));
+        return transaction;
+      },
+      exec: async () => {
+        for (const command of commands) await command();
+      },
+    };
+    return transaction;
+  });
+};
+
+const click = () =>
+  JSON.stringify({ link: newId(), timestamp: new Date().toISOString() });
+
+describe("flushClickBuffer", () => {
+  it("inserts buffered clicks and drops malformed entries", async (t) => {
+    const lists = { [BUFFER]: [click(), "{not json", click()] };
+    useLists(t, lists);
+    const insert = t.mock.method(ClickEvent, "insertMany", async () => []);
+
+    assert.equal(await flushClickBuffer(), 2);
+    assert.equal(insert.mock.calls[0].arguments[0].length, 2);
+    assert.ok(insert.mock.calls[0].arguments[0][0].timestamp instanceof Date);
+    assert.equal(lists[BUFFER].length, 0);
+    assert.equal(lists[PROCESSING], undefined);
+  });
+
+  it("inserts a batch left behind by an interrupted flush first", async (t) => {
+    const stranded = click();
+    const queued = click();
+    const lists = { [PROCESSING]: [stranded], [BUFFER]: [queued] };
+    useLists(t, lists);
+    const inserted = [];
+    t.mock.method(ClickEvent, "insertMany", async (events) => {
+      inserted.push(...events.map((event) => event.link));
+      return [];
+    });
+
+    assert.equal(await flushClickBuffer(), 2);
+    assert.deepEqual(inserted, [
+      JSON.parse(stranded).link,
+      JSON.parse(queued).link,
+    ]);
+    assert.equal(lists[PROCESSING], undefined);
+  });
+
+  it("re-queues only the clicks that failed to insert", async (t) => {
+    const entries = [click(), click(), click()];
+    const lists = { [BUFFER]: [...entries] };
+    useLists(t, lists);
+    t.mock.method(ClickEvent, "insertMany", async () => {
+      const error = new Error("write failed");
+      error.writeErrors = [{ index: 1 }];
+      throw error;
+    });
+
+    await assert.rejects(flushClickBuffer(), /write failed/);
+    assert.deepEqual(lists[BUFFER], [entries[1]]);
+    assert.equal(lists[PROCESSING], undefined);
+  });
+});
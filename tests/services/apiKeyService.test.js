@@ -0,0 +1,35 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  requiredScopeFor,
+  hasScope,
+} from "../../src/services/apiKeyService.js";
+
+describe("requiredScopeFor", () => {
+  for (const [method, path, scope] of [
+    ["GET", "/links", "read"],
+    ["GET", "/exports/abc/download", "read"],
+    ["POST", "/links/filter", "read"],
+    ["POST", "/exports", "links:write"],
+    ["POST", "/exports/", "links:write"],
+    ["POST", "/links", "links:write"],
+    ["DELETE", "/link/abc", "links:write"],
+    ["POST", "/collections", "collections:write"],
+    ["PUT", "/link/abc/collections", "collections:write"],
+    ["GET", "/subscription", null],
+    ["POST", "/webhooks", null],
+  ]) {
+    it(`${method} ${path} needs ${scope ?? "a signed-in session"}`, () => {
+      assert.equal(requiredScopeFor(method, path), scope);
+    });
+  }
+
+  it("keeps read-only keys from queuing exports", () => {
+    const readOnly = { scopes: ["read"] };
+    assert.equal(hasScope(readOnly, requiredScopeFor("GET", "/exports")), true);
+    assert.equal(
+      hasScope(readOnly, requiredScopeFor("POST", "/exports")),
+      false
+    );
+  });
+});
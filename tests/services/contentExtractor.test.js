@@ -0,0 +1,70 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import axios from "axios";
+import { fetchStaticText } from "../../src/services/contentExtractor.js";
+import {
+  isPublicUrl,
+  publicAgents,
+} from "../../src/services/publicNetworkService.js";
+
+describe("fetchStaticText", () => {
+  for (const host of ["127.0.0.1", "localhost"]) {
+    it(`refuses to fetch from ${host}`, async (t) => {
+      let received = 0;
+      const server = http.createServer((req, res) => {
+        received++;
+        res.setHeader("content-type", "text/plain");
+        res.end("internal");
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      t.after(() => server.close());
+
+      await assert.rejects(
+        fetchStaticText(`http://${host}:${server.address().port}/`),
+        { code: "EPRIVATEADDRESS" }
+      );
+      assert.equal(received, 0);
+    });
+  }
+
+  it("does not follow redirects, and reads nothing from one", async (t) => {
+    const get = t.mock.method(axios, "get", async () => ({
+      status: 302,
+      headers: {
+        location: "http://169.254.169.254/",
+        "content-type": "text/plain",
+      },
+      data: "",
+    }));
+
+    const result = await fetchStaticText("https://example.com/moved");
+
+    assert.deepEqual(result, { text: "", metadata: null, needsRender: false });
+    const options = get.mock.calls[0].arguments[1];
+    assert.equal(options.maxRedirects, 0);
+    assert.equal(options.proxy, false);
+    assert.equal(options.httpAgent, publicAgents.httpAgent);
+    assert.equal(options.httpsAgent, publicAgents.httpsAgent);
+  });
+});
+
+describe("isPublicUrl", () => {
+  for (const url of [
+    "http://127.0.0.1/",
+    "http://localhost:3000/",
+    "http://169.254.169.254/latest/meta-data",
+    "http://[::1]/",
+    "http://[::ffff:10.0.0.1]/",
+    "file:///etc/passwd",
+    "not a url",
+  ]) {
+    it(`refuses ${url}`, async () => {
+      assert.equal(await isPublicUrl(url), false);
+    });
+  }
+
+  it("accepts a public address", async () => {
+    assert.equal(await isPublicUrl("https://93.184.216.34/page"), true);
+  });
+});
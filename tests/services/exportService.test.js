@@ -0,0 +1,33 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { escapeCsv } from "../../src/services/exportService.js";
+
+describe("escapeCsv", () => {
+  for (const [value, expected] of [
+    [
+      '=HYPERLINK("http://evil.example")',
+      `"'=HYPERLINK(""http://evil.example"")"`,
+    ],
+    ["+1+1", "'+1+1"],
+    ["-2+3", "'-2+3"],
+    ["@SUM(A1)", "'@SUM(A1)"],
+    ["\tindented", "'\tindented"],
+  ]) {
+    it(`neutralizes ${JSON.stringify(value)}`, () => {
+      assert.equal(escapeCsv(value), expected);
+    });
+  }
+
+  it("leaves ordinary text, numbers and dates alone", () => {
+    assert.equal(
+      escapeCsv("https://example.com/a,b"),
+      '"https://example.com/a,b"'
+    );
+    assert.equal(escapeCsv(-1), "-1");
+    assert.equal(
+      escapeCsv(new Date("2026-01-02T03:04:05Z")),
+      "2026-01-02T03:04:05.000Z"
+    );
+    assert.equal(escapeCsv(null), "");
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import axios from "axios";
+import { resolveRedirectChain } from "../../src/services/redirectChainService.js";
+
+describe("resolveRedirectChain", () => {
+  // A local server that redirects "/" to `location`
+  const listen = async (t, location) => {
+    const server = http.createServer((req, res) => {
+      server.received++;
+      res.writeHead(302, { location }).end();
+    });
+    server.received = 0;
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => server.close());
+    return server;
+  };
+
+  for (const host of ["127.0.0.1", "[::ffff:127.0.0.1]"]) {
+    it(`refuses to connect to ${host} even when no rule stops it`, async (t) => {
+      const server = await listen(t, "/next");
+      const url = `http://${host}:${server.address().port}/`;
+
+      const chain = await resolveRedirectChain(url, { stopAt: () => false });
+
+      assert.equal(server.received, 0);
+      assert.equal(chain.stopped, true);
+      assert.equal(chain.hops.length, 1);
+      assert.equal(chain.hops[0].statusCode, null);
+    });
+  }
+
+  it("stops when a redirect points at a private IP address", async (t) => {
+    const target = await listen(t, "/next");
+    const get = axios.get.bind(axios);
+    // A public first hop that redirects to the local server
+    t.mock.method(axios, "get", async (url, options) =>
+      url === "https://example.com/start"
+        ? {
+            status: 302,
+            headers: { location: `http://127.0.0.1:${target.address().port}/` },
+            data: { destroy: () => {} },
+          }
+        : get(url, options)
+    );
+
+    const chain = await resolveRedirectChain("https://example.com/start");
+
+    assert.equal(target.received, 0);
+    assert.equal(chain.stopped, true);
+    assert.equal(chain.hops.length, 2);
+  });
+});
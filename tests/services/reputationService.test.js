@@ -0,0 +1,81 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import axios from "axios";
+import { screenUrl } from "../../src/services/reputationService.js";
+
+// axios.get response for a redirect to `location`
+const redirectTo = (location) => ({
+  status: 302,
+  headers: { location },
+  data: { destroy: () => {} },
+});
+
+describe("screenUrl", () => {
+  it("never requests a URL that is flagged on its own", async (t) => {
+    const get = t.mock.method(axios, "get");
+
+    const { reputation, chain, fetchable } = await screenUrl(
+      "http://93.184.216.34/login"
+    );
+
+    assert.equal(reputation.verdict, "SUSPICIOUS");
+    assert.equal(chain, null);
+    assert.equal(fetchable, false);
+    assert.equal(get.mock.callCount(), 0);
+  });
+
+  it("stops before a redirect target a rule objects to", async (t) => {
+    const get = t.mock.method(axios, "get", async () =>
+      redirectTo("http://93.184.216.34/login")
+    );
+
+    const { reputation, chain, fetchable } = await screenUrl(
+      "https://example.com/start"
+    );
+
+    assert.equal(get.mock.callCount(), 1);
+    assert.equal(get.mock.calls[0].arguments[0], "https://example.com/start");
+    assert.equal(chain.stopped, true);
+    assert.equal(chain.finalUrl, "http://93.184.216.34/login");
+    assert.equal(fetchable, false);
+    assert.ok(
+      reputation.reasons.some(({ rule }) => rule === "IP_LITERAL_HOST")
+    );
+  });
+
+  it("refuses to connect to a host that resolves privately", async (t) => {
+    let received = 0;
+    const server = http.createServer((req, res) => {
+      received++;
+      res.end("ok");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => server.close());
+
+    const { chain, fetchable } = await screenUrl(
+      `http://localhost:${server.address().port}/`
+    );
+
+    assert.equal(received, 0);
+    assert.equal(chain.stopped, true);
+    assert.equal(fetchable, false);
+  });
+
+  it("resolves and allows a clean chain", async (t) => {
+    t.mock.method(axios, "get", async (url) =>
+      url === "https://example.com/start"
+        ? redirectTo("/landing")
+        : { status: 200, headers: {}, data: { destroy: () => {} } }
+    );
+
+    const { reputation, chain, fetchable } = await screenUrl(
+      "https://example.com/start"
+    );
+
+    assert.equal(reputation.verdict, "CLEAN");
+    assert.equal(chain.finalUrl, "https://example.com/landing");
+    assert.equal(chain.stopped, false);
+    assert.equal(fetchable, true);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  UNSAFE_CATEGORY,
+  getRedirectWarning,
+  isLinkFlaggedUnsafe,
+} from "../../src/services/safetyService.js";
+
+const link = (fields = {}) => ({
+  analysisStatus: "COMPLETED",
+  aiSafetyRating: 5,
+  aiSafetyJustification: "Looks fine.",
+  aiClassification: { category: "News/Current Affairs", reason: "News." },
+  reputation: { verdict: "CLEAN", reasons: [] },
+  moderation: { status: null },
+  ...fields,
+});
+
+describe("getRedirectWarning", () => {
+  it("lets a clean link through", () => {
+    assert.equal(getRedirectWarning(link()), null);
+  });
+
+  it("warns with the reputation reasons first", () => {
+    const warning = getRedirectWarning(
+      link({
+        aiSafetyRating: 1,
+        reputation: {
+          verdict: "SUSPICIOUS",
+          reasons: [
+            { rule: "IP_LITERAL_HOST", detail: "Host is an IP address" },
+            { rule: "ABUSED_TLD", detail: "TLD is often abused" },
+          ],
+        },
+      })
+    );
+    assert.equal(warning, "Host is an IP address. TLD is often abused");
+  });
+
+  it("warns with the AI justification for a low safety rating", () => {
+    assert.equal(
+      getRedirectWarning(
+        link({ aiSafetyRating: 2, aiSafetyJustification: "Fake login form." })
+      ),
+      "Fake login form."
+    );
+  });
+
+  it("warns with the classification reason for an unsafe category", () => {
+    const flagged = link({
+      aiClassification: { category: UNSAFE_CATEGORY, reason: "Phishing kit." },
+    });
+    assert.equal(getRedirectWarning(flagged), "Phishing kit.");
+  });
+
+  it("falls back to a generic warning when there is no reason", () => {
+    const flagged = link({
+      aiClassification: { category: UNSAFE_CATEGORY, reason: "" },
+    });
+    assert.match(getRedirectWarning(flagged), /potentially unsafe/);
+  });
+
+  it("does not treat an unrated link as unsafe", () => {
+    assert.equal(
+      getRedirectWarning(
+        link({ analysisStatus: "PENDING", aiSafetyRating: null })
+      ),
+      null
+    );
+  });
+
+  it("warns exactly when the link counts as flagged", () => {
+    for (const fields of [
+      { aiSafetyRating: 1 },
+      { aiClassification: { category: UNSAFE_CATEGORY, reason: "x" } },
+      { reputation: { verdict: "BLOCKED", reasons: [] } },
+      {},
+    ]) {
+      const candidate = link(fields);
+      assert.equal(
+        Boolean(getRedirectWarning(candidate)),
+        isLinkFlaggedUnsafe(candidate)
+      );
+    }
+  });
+
+  it("stays silent for a link reviewed as a false positive", () => {
+    assert.equal(
+      getRedirectWarning(
+        link({
+          aiSafetyRating: 1,
+          aiClassification: { category: UNSAFE_CATEGORY, reason: "x" },
+          moderation: { status: "FALSE_POSITIVE" },
+        })
+      ),
+      null
+    );
+  });
+});
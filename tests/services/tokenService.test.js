@@ -0,0 +1,120 @@
+import { newId } from "../helpers/testApp.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import {
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+} from "../../src/services/tokenService.js";
+
+const newUser = () => ({ _id: newId(), email: "someone@example.com" });
+
+// loadUser for rotateRefreshToken that knows just `user`
+const loads = (user) => async (userId) =>
+  userId === user._id.toString() ? user : null;
+
+describe("tokenService sessions", () => {
+  it("issues an access token bound to a live session", async () => {
+    const { accessToken } = await issueSession(newUser());
+
+    const decoded = await verifyAccessToken(accessToken);
+    assert.ok(decoded.sid);
+    assert.ok(decoded.exp);
+  });
+
+  it("rejects access tokens without a session or expiry", async () => {
+    const legacy = jwt.sign({ userId: newId() }, process.env.JWT_KEY);
+    await assert.rejects(verifyAccessToken(legacy), { statusCode: 401 });
+  });
+
+  it("rotates the refresh token and retires the old one", async () => {
+    const user = newUser();
+    const first = await issueSession(user);
+
+    const second = await rotateRefreshToken(first.refreshToken, loads(user));
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(
+      (await verifyAccessToken(second.accessToken)).sid,
+      (await verifyAccessToken(first.accessToken)).sid
+    );
+
+    const third = await rotateRefreshToken(second.refreshToken, loads(user));
+    assert.ok(third.refreshToken);
+  });
+
+  it("ends the session when a retired refresh token is presented again", async () => {
+    const user = newUser();
+    const stolen = await issueSession(user);
+    const legitimate = await rotateRefreshToken(
+      stolen.refreshToken,
+      loads(user)
+    );
+
+    await assert.rejects(rotateRefreshToken(stolen.refreshToken, loads(user)), {
+      statusCode: 401,
+    });
+
+    // Both the current refresh token and the session's access tokens die
+    await assert.rejects(
+      rotateRefreshToken(legitimate.refreshToken, loads(user)),
+      { statusCode: 401 }
+    );
+    await assert.rejects(verifyAccessToken(legitimate.accessToken), {
+      message: "Token has been revoked",
+    });
+  });
+
+  it("revokes the session of a user that no longer exists", async () => {
+    const { accessToken, refreshToken } = await issueSession(newUser());
+
+    await assert.rejects(
+      rotateRefreshToken(refreshToken, async () => null),
+      {
+        statusCode: 401,
+      }
+    );
+    await assert.rejects(verifyAccessToken(accessToken), {
+      message: "Token has been revoked",
+    });
+  });
+
+  it("rejects unknown and missing refresh tokens", async () => {
+    const user = newUser();
+    await assert.rejects(rotateRefreshToken("not-a-token", loads(user)), {
+      statusCode: 401,
+    });
+    await assert.rejects(rotateRefreshToken(undefined, loads(user)), {
+      message: "Refresh token is required",
+    });
+  });
+
+  it("revokeSession ends one session only", async () => {
+    const user = newUser();
+    const phone = await issueSession(user);
+    const laptop = await issueSession(user);
+
+    await revokeSession((await verifyAccessToken(phone.accessToken)).sid);
+
+    await assert.rejects(verifyAccessToken(phone.accessToken));
+    await assert.rejects(rotateRefreshToken(phone.refreshToken, loads(user)));
+    assert.ok(await verifyAccessToken(laptop.accessToken));
+  });
+
+  it("revokeAllSessions ends every session of the user", async () => {
+    const user = newUser();
+    const other = newUser();
+    const sessions = [await issueSession(user), await issueSession(user)];
+    const untouched = await issueSession(other);
+
+    assert.equal(await revokeAllSessions(user._id), 2);
+
+    for (const { accessToken, refreshToken } of sessions) {
+      await assert.rejects(verifyAccessToken(accessToken));
+      await assert.rejects(rotateRefreshToken(refreshToken, loads(user)));
+    }
+    assert.ok(await verifyAccessToken(untouched.accessToken));
+  });
+});
@@ -0,0 +1,142 @@
+import "../helpers/testApp.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { currentStep, totpCode } from "../helpers/totp.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes,
+  checkSecondFactor,
+  createLoginChallenge,
+  getLoginChallengeUser,
+  clearLoginChallenge,
+} from "../../src/services/twoFactorService.js";
+
+describe("verifyTotp", () => {
+  it("accepts the current code and returns its time step", () => {
+    const secret = generateTotpSecret();
+    const step = currentStep();
+    // The clock may tick into the next step in between
+    const result = verifyTotp(secret, totpCode(secret, step));
+    assert.ok(result === step || result === step + 1);
+  });
+
+  it("allows one step of clock drift either way, but not two", () => {
+    const secret = generateTotpSecret();
+    const step = currentStep();
+
+    assert.notEqual(verifyTotp(secret, totpCode(secret, step - 1)), null);
+    assert.notEqual(verifyTotp(secret, totpCode(secret, step + 1)), null);
+    assert.equal(verifyTotp(secret, totpCode(secret, step - 3)), null);
+    assert.equal(verifyTotp(secret, totpCode(secret, step + 3)), null);
+  });
+
+  it("rejects a code from a step that was already used", () => {
+    const secret = generateTotpSecret();
+    const code = totpCode(secret);
+    const step = verifyTotp(secret, code);
+
+    assert.notEqual(step, null);
+    assert.equal(verifyTotp(secret, code, step), null);
+  });
+
+  it("rejects malformed codes", () => {
+    const secret = generateTotpSecret();
+    for (const code of ["", "12345", "1234567", "abcdef", null]) {
+      assert.equal(verifyTotp(secret, code), null);
+    }
+  });
+
+  it("tolerates spaces in a typed code", () => {
+    const secret = generateTotpSecret();
+    const code = totpCode(secret);
+    assert.notEqual(
+      verifyTotp(secret, `${code.slice(0, 3)} ${code.slice(3)}`),
+      null
+    );
+  });
+});
+
+describe("encryptSecret", () => {
+  it("round-trips through decryptSecret without storing the plain secret", () => {
+    const secret = generateTotpSecret();
+    const stored = encryptSecret(secret);
+
+    assert.ok(!stored.includes(secret));
+    assert.equal(decryptSecret(stored), secret);
+  });
+});
+
+describe("checkSecondFactor", () => {
+  const enrolledUser = (secret, backupHashes = []) => ({
+    twoFactor: {
+      secret: encryptSecret(secret),
+      backupCodes: [...backupHashes],
+      lastUsedStep: -1,
+    },
+  });
+
+  it("records the step of an accepted TOTP code so it can't be replayed", () => {
+    const secret = generateTotpSecret();
+    const user = enrolledUser(secret);
+    const code = totpCode(secret);
+
+    assert.equal(checkSecondFactor(user, { code }), true);
+    assert.ok(user.twoFactor.lastUsedStep >= currentStep());
+    assert.equal(checkSecondFactor(user, { code }), false);
+  });
+
+  it("consumes a backup code, in any case and with or without the dash", () => {
+    const { codes, hashes } = generateBackupCodes();
+    const user = enrolledUser(generateTotpSecret(), hashes);
+
+    assert.equal(
+      checkSecondFactor(user, {
+        backupCode: codes[0].replace("-", "").toUpperCase(),
+      }),
+      true
+    );
+    assert.equal(user.twoFactor.backupCodes.length, hashes.length - 1);
+    assert.equal(checkSecondFactor(user, { backupCode: codes[0] }), false);
+    assert.equal(checkSecondFactor(user, { backupCode: codes[1] }), true);
+  });
+
+  it("rejects unknown backup codes and empty input", () => {
+    const { hashes } = generateBackupCodes();
+    const user = enrolledUser(generateTotpSecret(), hashes);
+
+    assert.equal(checkSecondFactor(user, { backupCode: "aaaaa-bbbbb" }), false);
+    assert.equal(checkSecondFactor(user, {}), false);
+    assert.equal(user.twoFactor.backupCodes.length, hashes.length);
+  });
+});
+
+describe("login challenges", () => {
+  it("resolve to the user they were issued for", async () => {
+    const token = await createLoginChallenge("user-1");
+    assert.equal(await getLoginChallengeUser(token), "user-1");
+  });
+
+  it("stop working after 5 lookups", async () => {
+    const token = await createLoginChallenge("user-2");
+    for (let i = 0; i < 5; i++) {
+      assert.equal(await getLoginChallengeUser(token), "user-2");
+    }
+    assert.equal(await getLoginChallengeUser(token), null);
+    // Cleared, so it stays dead
+    assert.equal(await getLoginChallengeUser(token), null);
+  });
+
+  it("stop working once cleared", async () => {
+    const token = await createLoginChallenge("user-3");
+    await clearLoginChallenge(token);
+    assert.equal(await getLoginChallengeUser(token), null);
+  });
+
+  it("reject unknown or missing tokens", async () => {
+    assert.equal(await getLoginChallengeUser("not-a-challenge"), null);
+    assert.equal(await getLoginChallengeUser(undefined), null);
+  });
+});
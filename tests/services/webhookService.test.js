@@ -0,0 +1,96 @@
+import { queryResult } from "../helpers/testApp.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { Webhook } from "../../src/models/Webhook.js";
+import { WebhookDelivery } from "../../src/models/WebhookDelivery.js";
+import {
+  validateWebhookUrl,
+  deliverWebhook,
+} from "../../src/services/webhookService.js";
+
+describe("validateWebhookUrl", () => {
+  for (const url of [
+    "http://127.0.0.1/hook",
+    "http://localhost:3000/hook",
+    "http://10.0.0.5/hook",
+    "http://192.168.1.10/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://[::1]/hook",
+    "http://[::ffff:127.0.0.1]/hook",
+  ]) {
+    it(`rejects ${url}`, async () => {
+      await assert.rejects(validateWebhookUrl(url), {
+        statusCode: 400,
+        message: "Webhook URL must point to a public host.",
+      });
+    });
+  }
+
+  it("accepts a public address", async () => {
+    assert.equal(
+      await validateWebhookUrl("https://93.184.216.34/hook"),
+      "https://93.184.216.34/hook"
+    );
+  });
+
+  it("rejects other protocols", async () => {
+    await assert.rejects(validateWebhookUrl("ftp://93.184.216.34/hook"), {
+      statusCode: 400,
+    });
+  });
+});
+
+describe("deliverWebhook", () => {
+  // Deliver to `url` (":port" is filled in with a local server's port) and
+  // report how many requests the server saw
+  const deliverTo = async (t, url) => {
+    let received = 0;
+    const server = http.createServer((req, res) => {
+      received++;
+      res.end("ok");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => server.close());
+
+    const delivery = {
+      _id: "delivery-1",
+      webhook: "webhook-1",
+      event: "link.created",
+      payload: { event: "link.created", data: {} },
+      attempts: [],
+      save: async () => {},
+    };
+    t.mock.method(WebhookDelivery, "findById", async () => delivery);
+    t.mock.method(Webhook, "findById", () =>
+      queryResult({
+        url: url.replace(":port", `:${server.address().port}`),
+        active: true,
+        secret: "whsec_test",
+      })
+    );
+
+    await assert.rejects(deliverWebhook("delivery-1"), {
+      code: "EPRIVATEADDRESS",
+    });
+    return { received, error: delivery.attempts[0].error };
+  };
+
+  it("refuses to connect to a host that now resolves privately", async (t) => {
+    const { received, error } = await deliverTo(
+      t,
+      "http://localhost:port/hook"
+    );
+    assert.equal(received, 0);
+    assert.match(error, /non-public address/);
+  });
+
+  it("refuses a private IP address", async (t) => {
+    const { received, error } = await deliverTo(
+      t,
+      "http://127.0.0.1:port/hook"
+    );
+    assert.equal(received, 0);
+    assert.match(error, /not a public address/);
+  });
+});